@@ -1,204 +1,261 @@
 import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  MAX_SHIFT,
+  MIN_RAILS,
+  MAX_RAILS,
+  MIN_WPM,
+  MAX_WPM,
+  MORSE_TONE_HZ,
+  MORSE_VOLUME,
+  MORSE_RAMP,
+  MAX_ANALYSIS_CANDIDATES,
+  MAX_RC4_DROP,
+  STEP_PREVIEW_LENGTH,
+  ENABLED_OPERATIONS,
+  MODE_OPERATIONS,
+  ANALYSIS_OPERATIONS,
+  clampShift,
+  clampWpm,
+  clampDrop,
+  clampRails,
+  replaceAt,
+  ALPHABET_IDS,
+  CUSTOM_ALPHABET,
+  ALPHABETS,
+  parseCustomAlphabet,
+  resolveAlphabet,
+  caesarCipher,
+  LETTER_FREQUENCIES,
+  pickCaesarCandidate,
+  modularInverse,
+  affineMultipliers,
+  affineCipher,
+  pickAffineCandidate,
+  SUBSTITUTION_KEY_MODES,
+  letterIndices,
+  resolveSubstitutionKey,
+  solveSubstitution,
+  findSolutionConflicts,
+  BACON_ALPHABETS,
+  BACON_HIDING,
+  vigenereCipher,
+  pickVigenereCandidate,
+  ENIGMA_LETTERS,
+  ENIGMA_GREEK_ROTORS,
+  ENIGMA_MODELS,
+  resolveEnigma,
+  switchEnigmaModel,
+  getMorseSymbolsError,
+  morseTimeline,
+  BAUDOT_VARIANTS,
+  BAUDOT_FORMATS,
+  SPELLING_SYSTEMS,
+  utf8Encoder,
+  lenientUtf8Decoder,
+  formatHex,
+  textValue,
+  displayValue,
+  valueSize,
+  BASE64_ALPHABETS,
+  BASE32_ALPHABETS,
+  ASCII85_ALPHABETS,
+  base64Encode,
+  base64Decode,
+  BASE_ENCODINGS,
+  HASH_ALGORITHMS,
+  HASH_NAMES,
+  HASH_FORMATS,
+  BYTE_FORMATS,
+  HMAC_BLOCK_SIZES,
+  AES_KEY_SIZES,
+  AES_BLOCK_MODES,
+  RC4_FORMATS,
+  NUMERAL_BASES,
+  NUMERAL_UNITS,
+  numeralWidth,
+  BITWISE_OPERATIONS,
+  KEYED_BITWISE_OPERATIONS,
+  URL_VARIANTS,
+  UNICODE_NOTATIONS,
+  createStep,
+  runStep,
+  invertStep,
+  keyRequiredSteps,
+  evaluatePipeline,
+  isHexDisplay
+} from "./pipeline";
 
-const MAX_SHIFT = 100;
-const MIN_RAILS = 2;
-const MAX_RAILS = 10;
-
-const ENABLED_OPERATIONS = new Set([
-  "caesar",
-  "reverse",
-  "replace",
-  "case-transform",
-  "rot13",
-  "a1z26",
-  "vigenere",
-  "rail-fence"
-]);
-
-const MODE_OPERATIONS = new Set(["caesar", "a1z26", "vigenere", "rail-fence"]);
-
-const clampShift = (value) => {
-  const asNumber = Number(value);
-  if (Number.isNaN(asNumber)) return 0;
-  return Math.min(MAX_SHIFT, Math.max(0, asNumber));
+const SHARE_HASH_KEY = "pipeline";
+const PIPELINE_FORMAT_VERSION = 1;
+const SAMPLE_TEXT = "Sezor 123";
+
+const SECRET_FIELDS = {
+  caesar: ["shift"],
+  vigenere: ["key"],
+  affine: ["multiplier", "offset"],
+  substitution: ["keyword", "mapping", "solution"],
+  "rail-fence": ["rails"],
+  enigma: ["rotors", "rings", "positions", "greekRotor", "greekRing", "greekPosition", "plugboard"],
+  bitwise: ["key"],
+  hmac: ["key"],
+  block: ["key"],
+  rc4: ["key"]
 };
 
-const clampRails = (value) => {
-  const asNumber = Number(value);
-  if (Number.isNaN(asNumber)) return 3;
-  return Math.min(MAX_RAILS, Math.max(MIN_RAILS, asNumber));
+const serializeStep = ({ id, ...step }, includeSecrets = true) => {
+  if (includeSecrets || !SECRET_FIELDS[step.type]) return step;
+  return {
+    ...Object.fromEntries(
+      Object.entries(step).filter(([field]) => !SECRET_FIELDS[step.type].includes(field))
+    ),
+    keyRequired: true
+  };
 };
 
-const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const isCompatibleValue = (value, fallback) => {
+  if (fallback === null) return true;
+  if (Array.isArray(fallback)) return Array.isArray(value) && value.length === fallback.length;
+  return typeof value === typeof fallback && (value === null) === (fallback === null);
+};
 
-const shiftLetter = (char, shift, preserveCase = true) => {
-  const lower = char.toLowerCase();
-  const code = lower.charCodeAt(0);
-  if (code < 97 || code > 122) return char;
+const restoreStep = (saved, id) => {
+  if (!saved || !ENABLED_OPERATIONS.has(saved.type)) return null;
 
-  const shifted = String.fromCharCode(((code - 97 + shift) % 26) + 97);
-  if (!preserveCase) return shifted;
+  const defaults = createStep(id, saved.type);
+  const step = Object.fromEntries(
+    Object.entries(defaults).map(([field, fallback]) => {
+      if (field !== "id" && field !== "type" && field in saved && isCompatibleValue(saved[field], fallback)) {
+        return [field, saved[field]];
+      }
+      const isMissingSecret = saved.keyRequired === true && SECRET_FIELDS[saved.type]?.includes(field);
+      return [field, isMissingSecret && typeof fallback === "string" ? "" : fallback];
+    })
+  );
 
-  return char >= "A" && char <= "Z" ? shifted.toUpperCase() : shifted;
+  try {
+    runStep(textValue(SAMPLE_TEXT), step);
+    return step;
+  } catch {
+    return null;
+  }
 };
 
-const caesarCipher = (text, shift, preserveCase = true) =>
-  text
-    .split("")
-    .map((char) => shiftLetter(char, shift, preserveCase))
-    .join("");
-
-const reverseText = (text) => text.split("").reverse().join("");
+const omitDefaults = (saved) => {
+  const defaults = createStep(0, saved.type);
+  return Object.fromEntries(
+    Object.entries(saved).filter(
+      ([field, value]) => field === "type" || JSON.stringify(value) !== JSON.stringify(defaults[field])
+    )
+  );
+};
 
-const replaceText = (text, fromText, toText, matchCase) => {
-  if (!fromText) return text;
-  const pattern = new RegExp(escapeRegex(fromText), matchCase ? "g" : "gi");
-  return text.replace(pattern, toText ?? "");
+const encodeShareHash = (steps, input, includeSecrets) => {
+  const payload = {
+    version: PIPELINE_FORMAT_VERSION,
+    steps: steps.map((step) => omitDefaults(serializeStep(step, includeSecrets))),
+    ...(input === null ? {} : { input })
+  };
+  return `${SHARE_HASH_KEY}=${base64Encode(utf8Encoder.encode(JSON.stringify(payload)), "url", false)}`;
 };
 
-const toTitleCase = (text) =>
-  text.replace(/\b(\p{L})(\p{L}*)/gu, (_, first, rest) =>
-    `${first.toUpperCase()}${rest.toLowerCase()}`
-  );
+const readShareHash = (hash) => {
+  const match = hash.match(new RegExp(`^#?${SHARE_HASH_KEY}=([A-Za-z0-9_-]+)$`));
+  const bytes = match ? base64Decode(match[1], "url") : null;
+  if (!bytes) return null;
 
-const toggleCase = (text) =>
-  text
-    .split("")
-    .map((char) => {
-      const lower = char.toLowerCase();
-      const upper = char.toUpperCase();
-      if (lower === upper) return char;
-      return char === lower ? upper : lower;
-    })
-    .join("");
-
-const transformCase = (text, caseMode) => {
-  switch (caseMode) {
-    case "upper":
-      return text.toUpperCase();
-    case "lower":
-      return text.toLowerCase();
-    case "title":
-      return toTitleCase(text);
-    case "toggle":
-      return toggleCase(text);
-    default:
-      return text;
+  try {
+    const payload = JSON.parse(lenientUtf8Decoder.decode(bytes));
+    if (payload?.version !== PIPELINE_FORMAT_VERSION || !Array.isArray(payload.steps)) return null;
+
+    const steps = payload.steps.map((saved, index) => restoreStep(saved, index + 1)).filter(Boolean);
+    if (!steps.length) return null;
+    return { steps, input: typeof payload.input === "string" ? payload.input : null };
+  } catch {
+    return null;
   }
 };
 
-const a1z26Encode = (text) =>
-  text
-    .split("")
-    .map((char) => {
-      const lower = char.toLowerCase();
-      const code = lower.charCodeAt(0);
-      if (code < 97 || code > 122) return char;
-      return String(code - 96);
-    })
-    .join(" ")
-    .replace(/\s{2,}/g, " ")
-    .trim();
-
-const a1z26Decode = (text) =>
-  text.replace(/\b([1-9]|1[0-9]|2[0-6])\b/g, (match) => {
-    const value = Number(match);
-    return String.fromCharCode(96 + value);
-  });
+const LANGUAGE_STORAGE_KEY = "sezor.language";
+const RECIPES_STORAGE_KEY = "sezor.recipes";
+const RECIPE_FORMAT = "sezor-recipes";
+const RECIPE_FORMAT_VERSION = 2;
 
-const getVigenereKey = (key) =>
-  (key ?? "")
-    .toLowerCase()
-    .replace(/[^a-z]/g, "")
-    .split("")
-    .map((char) => char.charCodeAt(0) - 97);
-
-const vigenereCipher = (text, key, mode, preserveCase) => {
-  const keyOffsets = getVigenereKey(key);
-  if (!keyOffsets.length) return text;
-
-  let keyIndex = 0;
-  return text
-    .split("")
-    .map((char) => {
-      const lower = char.toLowerCase();
-      const code = lower.charCodeAt(0);
-      if (code < 97 || code > 122) return char;
-
-      const offset = keyOffsets[keyIndex % keyOffsets.length];
-      keyIndex += 1;
-      const shift = mode === "decode" ? (26 - offset) % 26 : offset;
-      return shiftLetter(char, shift, preserveCase);
-    })
-    .join("");
+const RECIPE_MIGRATIONS = {
+  1: ({ name, steps, input }) => ({
+    format: RECIPE_FORMAT,
+    version: 2,
+    recipes: [{ name, steps, input }]
+  })
 };
 
-const railFenceEncode = (text, rails) => {
-  if (rails <= 1 || text.length <= 1) return text;
+const createRecipeId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
 
-  const fence = Array.from({ length: rails }, () => []);
-  let row = 0;
-  let direction = 1;
+const serializeRecipes = (recipes) => ({
+  format: RECIPE_FORMAT,
+  version: RECIPE_FORMAT_VERSION,
+  recipes: recipes.map(({ id, ...recipe }) => recipe)
+});
 
-  for (const char of text) {
-    fence[row].push(char);
-    if (row === 0) direction = 1;
-    if (row === rails - 1) direction = -1;
-    row += direction;
-  }
+const parseRecipeFile = (data) => {
+  if (!Number.isInteger(data?.version)) return { error: "invalidRecipeFile" };
+  const canMigrate = data.version === RECIPE_FORMAT_VERSION || RECIPE_MIGRATIONS[data.version];
+  if (!canMigrate) return { error: "unsupportedRecipeVersion" };
 
-  return fence.map((line) => line.join("")).join("");
-};
+  let migrated = data;
+  while (migrated.version < RECIPE_FORMAT_VERSION) migrated = RECIPE_MIGRATIONS[migrated.version](migrated);
 
-const railFenceDecode = (cipher, rails) => {
-  if (rails <= 1 || cipher.length <= 1) return cipher;
+  const isValid =
+    migrated.format === RECIPE_FORMAT &&
+    Array.isArray(migrated.recipes) &&
+    migrated.recipes.every((recipe) => Array.isArray(recipe?.steps) && recipe.steps.length);
+  if (!isValid) return { error: "invalidRecipeFile" };
 
-  const pattern = [];
-  let row = 0;
-  let direction = 1;
-  for (let i = 0; i < cipher.length; i += 1) {
-    pattern.push(row);
-    if (row === 0) direction = 1;
-    if (row === rails - 1) direction = -1;
-    row += direction;
-  }
+  const unknownTypes = [
+    ...new Set(
+      migrated.recipes.flatMap((recipe) => recipe.steps.map((saved) => String(saved?.type)))
+    )
+  ].filter((type) => !ENABLED_OPERATIONS.has(type));
+  if (unknownTypes.length) return { error: "unknownOperations", unknownTypes };
 
-  const counts = Array(rails).fill(0);
-  for (const rail of pattern) counts[rail] += 1;
+  return {
+    recipes: migrated.recipes.map((recipe) => ({
+      id: createRecipeId(),
+      name: typeof recipe.name === "string" ? recipe.name : "",
+      steps: recipe.steps.map((saved) => serializeStep(restoreStep(saved, 0) ?? createStep(0, saved.type))),
+      input: typeof recipe.input === "string" ? recipe.input : null
+    }))
+  };
+};
 
-  const railsData = Array.from({ length: rails }, () => []);
-  let cursor = 0;
-  for (let rail = 0; rail < rails; rail += 1) {
-    railsData[rail] = cipher.slice(cursor, cursor + counts[rail]).split("");
-    cursor += counts[rail];
+const readStorage = (key) => {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
   }
+};
 
-  const railReadCursor = Array(rails).fill(0);
-  return pattern
-    .map((rail) => {
-      const char = railsData[rail][railReadCursor[rail]];
-      railReadCursor[rail] += 1;
-      return char;
-    })
-    .join("");
+const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(key, value);
+    return true;
+  } catch {
+    return false;
+  }
 };
 
-const DEFAULT_STEP_BY_TYPE = {
-  caesar: () => ({ mode: "encode", shift: 3, preserveCase: true }),
-  reverse: () => ({}),
-  replace: () => ({ fromText: "", toText: "", matchCase: true }),
-  "case-transform": () => ({ caseMode: "upper" }),
-  rot13: () => ({}),
-  a1z26: () => ({ mode: "encode" }),
-  vigenere: () => ({ mode: "encode", key: "KEY", preserveCase: true }),
-  "rail-fence": () => ({ mode: "encode", rails: 3 })
+const readStoredLanguage = () => {
+  const stored = readStorage(LANGUAGE_STORAGE_KEY);
+  return stored && stored in TRANSLATIONS ? stored : "uz";
 };
 
-const createStep = (id, type = "caesar") => ({
-  id,
-  type,
-  ...(DEFAULT_STEP_BY_TYPE[type] ? DEFAULT_STEP_BY_TYPE[type]() : DEFAULT_STEP_BY_TYPE.caesar())
-});
+const readStoredRecipes = () => {
+  try {
+    return parseRecipeFile(JSON.parse(readStorage(RECIPES_STORAGE_KEY))).recipes ?? [];
+  } catch {
+    return [];
+  }
+};
 
 const operationCatalog = [
   {
@@ -207,50 +264,51 @@ const operationCatalog = [
       { id: "replace", available: true },
       { id: "reverse", available: true },
       { id: "case-transform", available: true },
-      { id: "numeral-system" },
-      { id: "bitwise" }
+      { id: "numeral-system", available: true },
+      { id: "bitwise", available: true }
     ]
   },
   {
     groupId: "alphabets",
     items: [
-      { id: "morse" },
-      { id: "spelling" }
+      { id: "morse", available: true },
+      { id: "spelling", available: true }
     ]
   },
   {
     groupId: "ciphers",
     items: [
-      { id: "enigma" },
+      { id: "enigma", available: true },
       { id: "caesar", available: true },
-      { id: "affine" },
+      { id: "caesar-crack", available: true },
+      { id: "affine", available: true },
       { id: "rot13", available: true },
       { id: "a1z26", available: true },
       { id: "vigenere", available: true },
-      { id: "bacon" },
-      { id: "substitution" },
+      { id: "bacon", available: true },
+      { id: "substitution", available: true },
       { id: "rail-fence", available: true }
     ]
   },
   {
     groupId: "encoding",
     items: [
-      { id: "base32" },
-      { id: "base64" },
-      { id: "ascii85" },
-      { id: "baudot" },
-      { id: "unicode" },
-      { id: "url-encoding" },
-      { id: "punycode" }
+      { id: "base32", available: true },
+      { id: "base64", available: true },
+      { id: "ascii85", available: true },
+      { id: "baudot", available: true },
+      { id: "unicode", available: true },
+      { id: "url-encoding", available: true },
+      { id: "punycode", available: true }
     ]
   },
   {
     groupId: "modern-cryptography",
     items: [
-      { id: "block" },
-      { id: "rc4" },
-      { id: "hash" },
-      { id: "hmac" }
+      { id: "block", available: true },
+      { id: "rc4", available: true },
+      { id: "hash", available: true },
+      { id: "hmac", available: true }
     ]
   }
 ];
@@ -276,17 +334,92 @@ const TRANSLATIONS = {
       matchCase: "Registrni hisobga olish",
       caseTransform: "Case transform",
       key: "Kalit",
-      rails: "Relslar"
+      rails: "Relslar",
+      alphabet: "Alifbo",
+      customAlphabet: "Maxsus alifbo",
+      frequencyLanguage: "Chastotalar tili",
+      candidates: "Nomzodlar",
+      keyLength: "Kalit uzunligi",
+      model: "Model",
+      reflector: "Reflektor",
+      rotors: "Rotor",
+      ring: "Halqa",
+      position: "Holat",
+      plugboard: "Kommutatsiya paneli",
+      rotorPositions: "Rotorlarning oxirgi holati",
+      morseTable: "Jadval",
+      dot: "Nuqta",
+      dash: "Tire",
+      letterSeparator: "Harflar ajratgichi",
+      wordSeparator: "So'zlar ajratgichi",
+      wpm: "Tezlik (WPM)",
+      farnsworth: "Farnsworth (WPM)",
+      unknown: "Noma'lum belgilar",
+      ambiguous: "Bir nechta belgiga mos kodlar (birinchisi tanlandi)",
+      variant: "Variant",
+      notation: "Yozuv shakli",
+      spellingSystem: "Fonetik alifbo",
+      unknownWords: "Tanilmagan soʻzlar",
+      shareInput: "Kirish matni bilan",
+      shareSecrets: "Kalitlar bilan",
+      oneWay: "Bir tomonlama",
+      notSelfInverse: "o'ziga teskari emas",
+      reorder: "Tartibni o'zgartirish (sudrang yoki strelkalar)",
+      algorithm: "Algoritm",
+      keyFormat: "Kalit formati",
+      keySize: "Kalit uzunligi",
+      base: "Sanoq tizimi",
+      unit: "Birlik",
+      separator: "Ajratgich",
+      padNumbers: "Nollar bilan to'ldirish",
+      operation: "Amal",
+      shiftBits: "Siljish (bit)",
+      symbolA: "A belgisi",
+      symbolB: "B belgisi",
+      hiding: "Yashirish usuli",
+      coverText: "Niqob matn",
+      keyMode: "Kalit turi",
+      keyword: "Kalit so'z",
+      mapping: "Shifr alifbosi",
+      solver: "Interaktiv yechuvchi",
+      frequency: "Shifrmatn harflari chastotasi",
+      assignments: "Shifr harfi → ochiq harf",
+      preview: "Qisman ochilgan matn",
+      stepPreview: "Oraliq natija",
+      multiplier: "a (ko'paytuvchi)",
+      offset: "b (siljish)",
+      inverse: "Teskari qiymat a⁻¹",
+      crack: "Buzish: barcha (a, b) juftlarini sinash",
+      drop: "Tashlab yuboriladigan baytlar (drop-N)",
+      cipherFormat: "Shifrmatn formati",
+      blockMode: "Blok rejimi",
+      iv: "IV / nonce",
+      ivFormat: "IV formati",
+      pkcs7: "PKCS#7 to'ldirish",
+      aad: "Qo'shimcha ma'lumot (AAD)",
+      authTag: "Autentifikatsiya tegi",
+      expectedMac: "Kutilgan MAC",
+      outputFormat: "Chiqish formati",
+      padding: "To'ldirish belgisi (=)",
+      delimiters: "<~ ~> chegaralari"
     },
     placeholders: {
       input: "Masalan: Salom Dunyo",
       output: "Natija shu yerda chiqadi",
       fromText: "Masalan: salom",
       toText: "Masalan: hello",
-      key: "Masalan: KEY"
+      key: "Masalan: KEY",
+      plugboard: "Masalan: AB CD EF",
+      expectedMac: "Hex yoki Base64, masalan: sha256=...",
+      authTag: "Bo'sh bo'lsa, kirishning oxirgi 16 bayti olinadi",
+      coverText: "Xabarni yashirish uchun istalgan lotin matni",
+      keyword: "Masalan: ZEBRAS",
+      mapping: "Masalan: QWERTYUIOPASDFGHJKLZXCVBNM",
+      customAlphabet: "Masalan: ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789"
     },
     units: {
       chars: "belgi",
+      bytes: "bayt",
       steps: "bosqich"
     },
     pipelineHint: "Kirish -> Bosqich 1 -> ... -> Chiqish",
@@ -298,11 +431,20 @@ const TRANSLATIONS = {
       resetPipeline: "Zanjirni tiklash",
       clearAll: "Hammasini tozalash",
       copy: "Nusxa olish",
-      close: "Yopish"
+      close: "Yopish",
+      useKey: "Kalitni qo'llash",
+      clear: "Tozalash",
+      play: "Eshitish",
+      stop: "To'xtatish",
+      shareLink: "Havolani ulashish",
+      duplicate: "Nusxalash",
+      bypass: "O'chirib qo'yish",
+      enable: "Yoqish"
     },
     modes: {
       encode: "Shifrlash",
-      decode: "Deshifrlash"
+      decode: "Deshifrlash",
+      analyze: "Tahlil"
     },
     caseModes: {
       upper: "KATTA",
@@ -310,12 +452,195 @@ const TRANSLATIONS = {
       title: "Sarlavha",
       toggle: "Almashtirish"
     },
+    alphabets: {
+      en: "Inglizcha (26)",
+      ru: "Ruscha (33)",
+      uz: "O'zbek lotin (28)",
+      custom: "Maxsus",
+      auto: "Avtomatik"
+    },
+    errors: {
+      duplicateLetters: "Alifboda takrorlangan belgilar bor:",
+      alphabetTooShort: "Alifbo kamida 2 ta belgidan iborat bo'lishi kerak.",
+      invalidPlugboard: "Kommutatsiya paneli noto'g'ri: harflar juft bo'lishi va takrorlanmasligi kerak (ko'pi bilan 13 juft).",
+      invalidRotors: "Tanlangan model uchun rotor yoki reflektor mos emas.",
+      duplicateRotors: "Bitta rotor ikki marta ishlatilmaydi.",
+      invalidMorseSymbols: "Nuqta, tire va ajratgichlar bo'sh bo'lmasligi va bir-biridan farq qilishi kerak.",
+      keyRequired: "Havola kalitlarsiz ulashilgan. Kalitni kiriting; shu paytgacha bu karta matnni o'zgartirmasdan o'tkazadi.",
+      invalidEncoding: "Kirish matni tanlangan kodlash formatiga mos emas.",
+      invalidKey: "Kalit tanlangan formatga mos emas.",
+      invalidMac: "Kutilgan MAC hex yoki Base64 ko'rinishida bo'lishi kerak.",
+      emptyKey: "Kalit bo'sh bo'lmasligi kerak.",
+      invalidMultiplier: "a alifbo uzunligi bilan o'zaro tub bo'lishi kerak. Mos qiymatlar:",
+      invalidMappingLength: "Shifr alifbosidagi harflar soni alifboga teng bo'lishi kerak:",
+      mappingConflicts: "Bir nechta shifr harfi bitta ochiq harfga bog'langan:",
+      invalidBaconSymbols: "A va B bitta belgidan iborat va har xil bo'lishi kerak.",
+      invalidNumbers: "Tanlangan sanoq tizimiga mos kelmaydigan qiymatlar o'tkazib yuborildi:",
+      invalidCodePoint: "Ba'zi kodlar Unicode oralig'idan (U+10FFFF) tashqarida va o'zgarishsiz qoldirildi.",
+      invalidDomains: "Quyidagi xn-- yorliqlarini Punycode sifatida o'qib bo'lmadi:",
+      invalidBaudotLength: "Bitlar soni 5 ga karrali emas; to'liq bo'lmagan guruh tashlab yuborildi.",
+      coverTooShort: "Niqob matnda lotin harflari yetarli emas. Yana kerak:",
+      invalidKeyLength: "Kalit uzunligi tanlangan AES variantiga mos emas.",
+      invalidIvLength: "IV uzunligi noto'g'ri: CBC va CTR uchun 16 bayt kerak.",
+      invalidBlockLength: "Ma'lumot uzunligi 16 baytga karrali bo'lishi kerak.",
+      invalidPadding: "PKCS#7 to'ldirishi noto'g'ri: kalit, IV yoki rejimni tekshiring.",
+      invalidTag: "Teg 12–16 baytlik hex bo'lishi kerak.",
+      authFailed: "Autentifikatsiya muvaffaqiyatsiz: teg mos kelmadi."
+    },
+    enigma: {
+      models: {
+        I: "Enigma I",
+        M3: "Enigma M3",
+        M4: "Enigma M4"
+      },
+      beta: "Beta",
+      gamma: "Gamma"
+    },
+    encodingVariants: {
+      standard: "Standart",
+      url: "URL uchun xavfsiz",
+      rfc4648: "RFC 4648",
+      crockford: "Crockford",
+      adobe: "Adobe",
+      z85: "Z85"
+    },
+    previewModes: {
+      text: "Matn",
+      diff: "Farq"
+    },
+    spellingSystems: {
+      nato: "NATO / ICAO (Alfa, Bravo…)",
+      ru: "Rus (Анна, Борис…)",
+      uz: "Oʻzbek (Anvar, Bobur…)"
+    },
+    baudotVariants: {
+      ita2: "ITA2 (xalqaro)",
+      mtk2: "MTK-2 (kirill)",
+      baudot: "Asl Bodo kodi (1888)"
+    },
+    baudotFormats: {
+      binary: "Ikkilik (5 bit)",
+      tape: "Perfolenta"
+    },
+    urlVariants: {
+      component: "Komponent (encodeURIComponent)",
+      uri: "To'liq URI (encodeURI)",
+      form: "Forma (bo'sh joy = +)"
+    },
+    unicodeNotations: {
+      "u-plus": "U+XXXX",
+      js: "\\uXXXX (JavaScript)",
+      "html-hex": "&#x..; (HTML, hex)",
+      "html-decimal": "&#..; (HTML, o'nlik)"
+    },
+    numeralBases: {
+      2: "Ikkilik (2)",
+      8: "Sakkizlik (8)",
+      10: "O'nlik (10)",
+      16: "O'n oltilik (16)"
+    },
+    numeralUnits: {
+      bytes: "UTF-8 baytlari",
+      codepoints: "Unicode kod nuqtalari"
+    },
+    bitwiseOperations: {
+      xor: "XOR",
+      and: "AND",
+      or: "OR",
+      not: "NOT",
+      shl: "Chapga siljitish (<<)",
+      shr: "O'ngga siljitish (>>)"
+    },
+    baconVariants: {
+      24: "24 harf (I = J, U = V)",
+      26: "26 harf"
+    },
+    baconHiding: {
+      none: "Yo'q: A/B qatori",
+      case: "Harf registri (kichik = A, katta = B)",
+      font: "Ikki shrift (oddiy = A, qalin = B)"
+    },
+    keyModes: {
+      keyword: "Kalit so'z",
+      mapping: "To'liq alifbo"
+    },
+    hashFormats: {
+      hex: "Hex",
+      "hex-upper": "HEX (katta harflar)",
+      base64: "Base64"
+    },
+    byteFormats: {
+      text: "Matn (UTF-8)",
+      hex: "Hex",
+      base64: "Base64"
+    },
+    morseTables: {
+      latin: "Xalqaro (ITU)",
+      cyrillic: "Kirill"
+    },
+    messages: {
+      noLetters: "Matnda tahlil uchun harflar topilmadi.",
+      needsBuiltinAlphabet: "Chastota tahlili uchun tayyor alifbolardan birini tanlang.",
+      macMatch: "MAC mos keldi.",
+      macMismatch: "MAC mos kelmadi.",
+      tagVerified: "Teg tasdiqlandi.",
+      unicodeDecodeHint: "Dekodlashda U+XXXX, \\uXXXX, \\u{...}, &#x..; va &#..; shakllari birga taniladi.",
+      oneWayHint: "Bu bosqichni teskari yo'nalishda bajarib bo'lmaydi.",
+      rotNotSelfInverse: "alifboda harflar soni toq, shuning uchun kartani ikki marta qo'llash matnni tiklamaydi. Ochish uchun teskari yo'nalishdan yoki shu siljishli Sezar deshifrlashidan foydalaning.",
+      reverseBlocked: "Teskari yo'nalish uzildi. Teskari amali yo'q bosqichlar:",
+      reverseFailed: "Teskari hisoblash shu bosqichlarda bajarilmadi, kirish matni o'zgarmadi:",
+      invalidHexDraft: "Natija hex baytlar ko'rinishida. Teskari hisoblash uchun uni hex sifatida tahrirlang.",
+      reverseNotText: "Teskari zanjir kirish uchun to'g'ri matn bermadi, kirish matni o'zgarmadi.",
+      reverseKeyRequired: "Teskari hisoblash uchun avval yetishmayotgan kalitlarni kiriting, kirish matni o'zgarmadi.",
+      outputKeyRequired: "Bu haqiqiy natija emas: quyidagi bosqichlar kalitni kutmoqda va matnni o'zgartirmasdan o'tkazmoqda:",
+      reverseActive: "Kirish matni natijadan teskari zanjir orqali hisoblanmoqda.",
+      noChanges: "Bu bosqich matnni o'zgartirmadi.",
+      previewTruncated: "Ko'rsatilgan belgilar soni:"
+    },
     status: {
       idle: "",
       noInput: "Nusxa olish uchun kirish matni yo'q.",
       noOutput: "Nusxa olish uchun natija yo'q.",
       copied: "Matn nusxalandi.",
-      denied: "Clipboard ruxsati topilmadi."
+      denied: "Clipboard ruxsati topilmadi.",
+      linkCopied: "Havola nusxalandi."
+    },
+    pipelineRun: {
+      queued: "Navbatda",
+      running: "Hisoblanmoqda…",
+      done: "Tayyor",
+      progress: "Hisoblanayotgan bosqich",
+      reverseProgress: "Teskari hisoblanayotgan bosqich",
+      stale: "Yangi hisoblash tugaguncha oldingi natija ko'rsatilmoqda.",
+      cancel: "Bekor qilish",
+      messages: {
+        idle: "",
+        waiting: "Yozish to'xtashi kutilmoqda…",
+        cancelled: "Hisoblash bekor qilindi. Qayta ishga tushirish uchun matn yoki kartani o'zgartiring.",
+        failed: "Hisoblash xato bilan to'xtadi."
+      }
+    },
+    recipes: {
+      title: "Retseptlar",
+      namePlaceholder: "Retsept nomi",
+      untitled: "Retsept",
+      includeInput: "Kirish matni bilan",
+      save: "Saqlash",
+      load: "Yuklash",
+      remove: "O'chirish",
+      rename: "Retsept nomini o'zgartirish",
+      export: "JSON eksport",
+      import: "JSON import",
+      empty: "Hali saqlangan retseptlar yo'q.",
+      messages: {
+        saved: "Retsept saqlandi.",
+        loaded: "Retsept yuklandi:",
+        imported: "Import qilingan retseptlar soni:",
+        invalidRecipeFile: "Fayl retseptlar formatiga mos emas.",
+        unsupportedRecipeVersion: "Bu format versiyasi qo'llab-quvvatlanmaydi.",
+        unknownOperations: "Import rad etildi. Noma'lum operatsiya turlari:",
+        storageFailed: "Retseptlarni brauzer xotirasiga yozib bo'lmadi (xotira to'lgan bo'lishi mumkin). Sahifa yangilansa, o'zgarishlar yo'qoladi: JSON ga eksport qiling yoki kirish matnisiz saqlang."
+      }
     },
     library: {
       title: "Operatsiyalar kutubxonasi",
@@ -339,6 +664,7 @@ const TRANSLATIONS = {
       spelling: "Fonetik alifbo",
       enigma: "Enigma mashinasi",
       caesar: "Sezar shifri",
+      "caesar-crack": "Sezar buzuvchi",
       affine: "Affine shifri",
       rot13: "ROT13",
       a1z26: "A1Z26",
@@ -384,17 +710,92 @@ const TRANSLATIONS = {
       matchCase: "Учитывать регистр",
       caseTransform: "Преобразование регистра",
       key: "Ключ",
-      rails: "Рельсы"
+      rails: "Рельсы",
+      alphabet: "Алфавит",
+      customAlphabet: "Свой алфавит",
+      frequencyLanguage: "Язык частот",
+      candidates: "Кандидаты",
+      keyLength: "Длина ключа",
+      model: "Модель",
+      reflector: "Рефлектор",
+      rotors: "Ротор",
+      ring: "Кольцо",
+      position: "Позиция",
+      plugboard: "Коммутационная панель",
+      rotorPositions: "Позиции роторов после обработки",
+      morseTable: "Таблица",
+      dot: "Точка",
+      dash: "Тире",
+      letterSeparator: "Разделитель букв",
+      wordSeparator: "Разделитель слов",
+      wpm: "Скорость (WPM)",
+      farnsworth: "Фарнсворт (WPM)",
+      unknown: "Неизвестные символы",
+      ambiguous: "Коды с несколькими символами (выбран первый)",
+      variant: "Вариант",
+      notation: "Запись",
+      spellingSystem: "Фонетический алфавит",
+      unknownWords: "Нераспознанные слова",
+      shareInput: "С входным текстом",
+      shareSecrets: "С ключами",
+      oneWay: "Односторонний",
+      notSelfInverse: "не самообратный",
+      reorder: "Изменить порядок (перетащите или стрелки)",
+      algorithm: "Алгоритм",
+      keyFormat: "Формат ключа",
+      keySize: "Длина ключа",
+      base: "Система счисления",
+      unit: "Единица",
+      separator: "Разделитель",
+      padNumbers: "Дополнять нулями",
+      operation: "Операция",
+      shiftBits: "Сдвиг (бит)",
+      symbolA: "Символ A",
+      symbolB: "Символ B",
+      hiding: "Способ сокрытия",
+      coverText: "Текст-прикрытие",
+      keyMode: "Тип ключа",
+      keyword: "Ключевое слово",
+      mapping: "Алфавит шифра",
+      solver: "Интерактивный решатель",
+      frequency: "Частоты букв шифртекста",
+      assignments: "Буква шифра → открытая буква",
+      preview: "Частично расшифрованный текст",
+      stepPreview: "Промежуточный результат",
+      multiplier: "a (множитель)",
+      offset: "b (сдвиг)",
+      inverse: "Обратное a⁻¹",
+      crack: "Взлом: перебрать все пары (a, b)",
+      drop: "Пропуск байтов (drop-N)",
+      cipherFormat: "Формат шифртекста",
+      blockMode: "Режим блоков",
+      iv: "IV / nonce",
+      ivFormat: "Формат IV",
+      pkcs7: "Дополнение PKCS#7",
+      aad: "Доп. данные (AAD)",
+      authTag: "Тег аутентификации",
+      expectedMac: "Ожидаемый MAC",
+      outputFormat: "Формат вывода",
+      padding: "Дополнение (=)",
+      delimiters: "Ограничители <~ ~>"
     },
     placeholders: {
       input: "Например: Привет Мир",
       output: "Здесь появится результат",
       fromText: "Например: привет",
       toText: "Например: hello",
-      key: "Например: KEY"
+      key: "Например: KEY",
+      plugboard: "Например: AB CD EF",
+      expectedMac: "Hex или Base64, например: sha256=...",
+      authTag: "Если пусто, берутся последние 16 байт входа",
+      coverText: "Любой латинский текст, в котором спрячется сообщение",
+      keyword: "Например: ZEBRAS",
+      mapping: "Например: QWERTYUIOPASDFGHJKLZXCVBNM",
+      customAlphabet: "Например: АБВГДЕЁЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЫЬЭЮЯ"
     },
     units: {
       chars: "символов",
+      bytes: "байт",
       steps: "шагов"
     },
     pipelineHint: "Ввод -> Шаг 1 -> ... -> Вывод",
@@ -406,11 +807,20 @@ const TRANSLATIONS = {
       resetPipeline: "Сбросить цепочку",
       clearAll: "Очистить все",
       copy: "Копировать",
-      close: "Закрыть"
+      close: "Закрыть",
+      useKey: "Применить ключ",
+      clear: "Очистить",
+      play: "Воспроизвести",
+      stop: "Остановить",
+      shareLink: "Поделиться ссылкой",
+      duplicate: "Дублировать",
+      bypass: "Отключить",
+      enable: "Включить"
     },
     modes: {
       encode: "Шифровать",
-      decode: "Расшифровать"
+      decode: "Расшифровать",
+      analyze: "Анализ"
     },
     caseModes: {
       upper: "ВЕРХНИЙ",
@@ -418,12 +828,195 @@ const TRANSLATIONS = {
       title: "С заглавной",
       toggle: "Инверсия"
     },
+    alphabets: {
+      en: "Английский (26)",
+      ru: "Русский (33)",
+      uz: "Узбекская латиница (28)",
+      custom: "Свой",
+      auto: "Автоматически"
+    },
+    errors: {
+      duplicateLetters: "В алфавите есть повторяющиеся символы:",
+      alphabetTooShort: "Алфавит должен содержать минимум 2 символа.",
+      invalidPlugboard: "Неверная коммутация: нужны пары разных букв без повторов (не более 13 пар).",
+      invalidRotors: "Ротор или рефлектор не подходит для выбранной модели.",
+      duplicateRotors: "Один ротор нельзя использовать дважды.",
+      invalidMorseSymbols: "Точка, тире и разделители не должны быть пустыми и должны различаться.",
+      keyRequired: "Ссылкой поделились без ключей. Введите ключ; до тех пор карточка пропускает текст без изменений.",
+      invalidEncoding: "Входные данные не соответствуют выбранной кодировке.",
+      invalidKey: "Ключ не соответствует выбранному формату.",
+      invalidMac: "Ожидаемый MAC должен быть в hex или Base64.",
+      emptyKey: "Ключ не может быть пустым.",
+      invalidMultiplier: "a должно быть взаимно простым с длиной алфавита. Допустимые значения:",
+      invalidMappingLength: "Число букв в алфавите шифра должно совпадать с алфавитом:",
+      mappingConflicts: "Несколько букв шифра сопоставлены одной открытой букве:",
+      invalidBaconSymbols: "A и B должны быть разными одиночными символами.",
+      invalidNumbers: "Пропущены значения, не подходящие для выбранной системы:",
+      invalidCodePoint: "Некоторые коды выходят за пределы Unicode (U+10FFFF) и оставлены без изменений.",
+      invalidDomains: "Не удалось прочитать эти метки xn-- как Punycode:",
+      invalidBaudotLength: "Число битов не кратно 5; неполная группа отброшена.",
+      coverTooShort: "В тексте-прикрытии не хватает латинских букв. Нужно ещё:",
+      invalidKeyLength: "Длина ключа не соответствует выбранному варианту AES.",
+      invalidIvLength: "Неверная длина IV: для CBC и CTR нужно 16 байт.",
+      invalidBlockLength: "Длина данных должна быть кратна 16 байтам.",
+      invalidPadding: "Неверное дополнение PKCS#7: проверьте ключ, IV или режим.",
+      invalidTag: "Тег должен быть hex длиной 12–16 байт.",
+      authFailed: "Ошибка аутентификации: тег не совпадает."
+    },
+    enigma: {
+      models: {
+        I: "Enigma I",
+        M3: "Enigma M3",
+        M4: "Enigma M4"
+      },
+      beta: "Бета",
+      gamma: "Гамма"
+    },
+    encodingVariants: {
+      standard: "Стандартный",
+      url: "Безопасный для URL",
+      rfc4648: "RFC 4648",
+      crockford: "Crockford",
+      adobe: "Adobe",
+      z85: "Z85"
+    },
+    previewModes: {
+      text: "Текст",
+      diff: "Разница"
+    },
+    spellingSystems: {
+      nato: "NATO / ICAO (Alfa, Bravo…)",
+      ru: "Русский (Анна, Борис…)",
+      uz: "Узбекский (Anvar, Bobur…)"
+    },
+    baudotVariants: {
+      ita2: "ITA2 (международный)",
+      mtk2: "МТК-2 (кириллица)",
+      baudot: "Исходный код Бодо (1888)"
+    },
+    baudotFormats: {
+      binary: "Двоичный (5 бит)",
+      tape: "Перфолента"
+    },
+    urlVariants: {
+      component: "Компонент (encodeURIComponent)",
+      uri: "Полный URI (encodeURI)",
+      form: "Форма (пробел = +)"
+    },
+    unicodeNotations: {
+      "u-plus": "U+XXXX",
+      js: "\\uXXXX (JavaScript)",
+      "html-hex": "&#x..; (HTML, шестнадцатеричная)",
+      "html-decimal": "&#..; (HTML, десятичная)"
+    },
+    numeralBases: {
+      2: "Двоичная (2)",
+      8: "Восьмеричная (8)",
+      10: "Десятичная (10)",
+      16: "Шестнадцатеричная (16)"
+    },
+    numeralUnits: {
+      bytes: "Байты UTF-8",
+      codepoints: "Кодовые точки Unicode"
+    },
+    bitwiseOperations: {
+      xor: "XOR",
+      and: "AND",
+      or: "OR",
+      not: "NOT",
+      shl: "Сдвиг влево (<<)",
+      shr: "Сдвиг вправо (>>)"
+    },
+    baconVariants: {
+      24: "24 буквы (I = J, U = V)",
+      26: "26 букв"
+    },
+    baconHiding: {
+      none: "Нет: строка A/B",
+      case: "Регистр букв (строчная = A, заглавная = B)",
+      font: "Два шрифта (обычный = A, жирный = B)"
+    },
+    keyModes: {
+      keyword: "Ключевое слово",
+      mapping: "Полный алфавит"
+    },
+    hashFormats: {
+      hex: "Hex",
+      "hex-upper": "HEX (заглавные)",
+      base64: "Base64"
+    },
+    byteFormats: {
+      text: "Текст (UTF-8)",
+      hex: "Hex",
+      base64: "Base64"
+    },
+    morseTables: {
+      latin: "Международная (ITU)",
+      cyrillic: "Кириллица"
+    },
+    messages: {
+      noLetters: "В тексте нет букв для анализа.",
+      needsBuiltinAlphabet: "Для частотного анализа выберите встроенный алфавит.",
+      macMatch: "MAC совпадает.",
+      macMismatch: "MAC не совпадает.",
+      tagVerified: "Тег подтверждён.",
+      unicodeDecodeHint: "Декодирование распознаёт U+XXXX, \\uXXXX, \\u{...}, &#x..; и &#..; одновременно.",
+      oneWayHint: "Этот шаг нельзя выполнить в обратном направлении.",
+      rotNotSelfInverse: "в алфавите нечётное число букв, поэтому повторное применение карточки не восстанавливает текст. Для расшифровки используйте обратный путь или дешифровку Цезаря с тем же сдвигом.",
+      reverseBlocked: "Обратный путь прерван. Шаги без обратной операции:",
+      reverseFailed: "Обратное вычисление не удалось на шагах (входной текст не изменён):",
+      invalidHexDraft: "Результат показан как hex-байты. Для обратного вычисления редактируйте его в hex.",
+      reverseNotText: "Обратная цепочка не дала корректного текста, входной текст не изменён.",
+      reverseKeyRequired: "Для обратного вычисления сначала введите недостающие ключи, входной текст не изменён.",
+      outputKeyRequired: "Это не настоящий результат: эти шаги ждут ключ и пропускают текст без изменений:",
+      reverseActive: "Входной текст вычисляется из результата по обратной цепочке.",
+      noChanges: "Этот шаг не изменил текст.",
+      previewTruncated: "Показано символов:"
+    },
     status: {
       idle: "",
       noInput: "Нет входного текста для копирования.",
       noOutput: "Нет результата для копирования.",
       copied: "Текст скопирован.",
-      denied: "Нет доступа к буферу обмена."
+      denied: "Нет доступа к буферу обмена.",
+      linkCopied: "Ссылка скопирована."
+    },
+    pipelineRun: {
+      queued: "В очереди",
+      running: "Вычисляется…",
+      done: "Готово",
+      progress: "Вычисляется шаг",
+      reverseProgress: "Обратный проход, шаг",
+      stale: "Показан предыдущий результат, пока идёт новое вычисление.",
+      cancel: "Отменить",
+      messages: {
+        idle: "",
+        waiting: "Ожидание паузы в наборе…",
+        cancelled: "Вычисление отменено. Измените текст или карточку, чтобы запустить снова.",
+        failed: "Вычисление завершилось с ошибкой."
+      }
+    },
+    recipes: {
+      title: "Рецепты",
+      namePlaceholder: "Название рецепта",
+      untitled: "Рецепт",
+      includeInput: "С входным текстом",
+      save: "Сохранить",
+      load: "Загрузить",
+      remove: "Удалить",
+      rename: "Переименовать рецепт",
+      export: "Экспорт JSON",
+      import: "Импорт JSON",
+      empty: "Сохранённых рецептов пока нет.",
+      messages: {
+        saved: "Рецепт сохранён.",
+        loaded: "Рецепт загружен:",
+        imported: "Импортировано рецептов:",
+        invalidRecipeFile: "Файл не соответствует формату рецептов.",
+        unsupportedRecipeVersion: "Эта версия формата не поддерживается.",
+        unknownOperations: "Импорт отклонён. Неизвестные типы операций:",
+        storageFailed: "Не удалось записать рецепты в хранилище браузера (возможно, оно заполнено). После перезагрузки изменения пропадут: экспортируйте JSON или сохраните без входного текста."
+      }
     },
     library: {
       title: "Библиотека операций",
@@ -447,6 +1040,7 @@ const TRANSLATIONS = {
       spelling: "Фонетический алфавит",
       enigma: "Машина Энигма",
       caesar: "Шифр Цезаря",
+      "caesar-crack": "Взлом Цезаря",
       affine: "Аффинный шифр",
       rot13: "ROT13",
       a1z26: "A1Z26",
@@ -492,17 +1086,92 @@ const TRANSLATIONS = {
       matchCase: "Match case",
       caseTransform: "Case transform",
       key: "Key",
-      rails: "Rails"
+      rails: "Rails",
+      alphabet: "Alphabet",
+      customAlphabet: "Custom alphabet",
+      frequencyLanguage: "Frequency language",
+      candidates: "Candidates",
+      keyLength: "Key length",
+      model: "Model",
+      reflector: "Reflector",
+      rotors: "Rotor",
+      ring: "Ring",
+      position: "Position",
+      plugboard: "Plugboard",
+      rotorPositions: "Rotor positions after processing",
+      morseTable: "Table",
+      dot: "Dot",
+      dash: "Dash",
+      letterSeparator: "Letter separator",
+      wordSeparator: "Word separator",
+      wpm: "Speed (WPM)",
+      farnsworth: "Farnsworth (WPM)",
+      unknown: "Unknown characters",
+      ambiguous: "Ambiguous codes (decoded as the first)",
+      variant: "Variant",
+      notation: "Notation",
+      spellingSystem: "Spelling alphabet",
+      unknownWords: "Unrecognised words",
+      shareInput: "Include input",
+      shareSecrets: "Include keys",
+      oneWay: "One-way",
+      notSelfInverse: "not self-inverse",
+      reorder: "Reorder (drag or arrow keys)",
+      algorithm: "Algorithm",
+      keyFormat: "Key format",
+      keySize: "Key size",
+      base: "Base",
+      unit: "Unit",
+      separator: "Separator",
+      padNumbers: "Pad with zeros",
+      operation: "Operation",
+      shiftBits: "Shift (bits)",
+      symbolA: "Symbol A",
+      symbolB: "Symbol B",
+      hiding: "Hiding method",
+      coverText: "Cover text",
+      keyMode: "Key type",
+      keyword: "Keyword",
+      mapping: "Cipher alphabet",
+      solver: "Interactive solver",
+      frequency: "Ciphertext letter frequency",
+      assignments: "Cipher letter → plain letter",
+      preview: "Partially decrypted text",
+      stepPreview: "Intermediate output",
+      multiplier: "a (multiplier)",
+      offset: "b (offset)",
+      inverse: "Inverse a⁻¹",
+      crack: "Crack: try every (a, b) pair",
+      drop: "Skipped bytes (drop-N)",
+      cipherFormat: "Ciphertext format",
+      blockMode: "Block mode",
+      iv: "IV / nonce",
+      ivFormat: "IV format",
+      pkcs7: "PKCS#7 padding",
+      aad: "Additional data (AAD)",
+      authTag: "Authentication tag",
+      expectedMac: "Expected MAC",
+      outputFormat: "Output format",
+      padding: "Padding (=)",
+      delimiters: "<~ ~> delimiters"
     },
     placeholders: {
       input: "Example: Hello World",
       output: "Output appears here",
       fromText: "Example: hello",
       toText: "Example: hi",
-      key: "Example: KEY"
+      key: "Example: KEY",
+      plugboard: "Example: AB CD EF",
+      expectedMac: "Hex or Base64, e.g. sha256=...",
+      authTag: "Leave empty to use the last 16 input bytes",
+      coverText: "Any Latin text to hide the message in",
+      keyword: "Example: ZEBRAS",
+      mapping: "Example: QWERTYUIOPASDFGHJKLZXCVBNM",
+      customAlphabet: "Example: ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789"
     },
     units: {
       chars: "chars",
+      bytes: "bytes",
       steps: "steps"
     },
     pipelineHint: "Input -> Step 1 -> ... -> Output",
@@ -514,11 +1183,20 @@ const TRANSLATIONS = {
       resetPipeline: "Reset pipeline",
       clearAll: "Clear all",
       copy: "Copy",
-      close: "Close"
+      close: "Close",
+      useKey: "Use key",
+      clear: "Clear",
+      play: "Play",
+      stop: "Stop",
+      shareLink: "Share link",
+      duplicate: "Duplicate",
+      bypass: "Bypass",
+      enable: "Enable"
     },
     modes: {
       encode: "Encode",
-      decode: "Decode"
+      decode: "Decode",
+      analyze: "Analyze"
     },
     caseModes: {
       upper: "UPPER",
@@ -526,12 +1204,195 @@ const TRANSLATIONS = {
       title: "Title",
       toggle: "Toggle"
     },
+    alphabets: {
+      en: "English (26)",
+      ru: "Russian (33)",
+      uz: "Uzbek Latin (28)",
+      custom: "Custom",
+      auto: "Automatic"
+    },
+    errors: {
+      duplicateLetters: "The alphabet has duplicate characters:",
+      alphabetTooShort: "The alphabet needs at least 2 characters.",
+      invalidPlugboard: "Invalid plugboard: use pairs of distinct letters with no repeats (at most 13 pairs).",
+      invalidRotors: "Rotor or reflector is not available on the selected model.",
+      duplicateRotors: "A rotor cannot be used twice.",
+      invalidMorseSymbols: "Dot, dash and separators must be non-empty and distinct.",
+      keyRequired: "This link was shared without keys. Enter the key; until then the card passes its input through unchanged.",
+      invalidEncoding: "The input is not valid for the selected encoding.",
+      invalidKey: "The key does not match the selected format.",
+      invalidMac: "The expected MAC must be hex or Base64.",
+      emptyKey: "The key must not be empty.",
+      invalidMultiplier: "a must be coprime to the alphabet size. Valid values:",
+      invalidMappingLength: "The cipher alphabet must have as many letters as the alphabet:",
+      mappingConflicts: "Several cipher letters map to the same plain letter:",
+      invalidBaconSymbols: "A and B must be two different single characters.",
+      invalidNumbers: "Skipped values that do not fit the selected base:",
+      invalidCodePoint: "Some codes are beyond the Unicode range (U+10FFFF) and were left unchanged.",
+      invalidDomains: "These xn-- labels could not be read as Punycode:",
+      invalidBaudotLength: "The bit count is not a multiple of 5; the incomplete group was ignored.",
+      coverTooShort: "The cover text does not have enough Latin letters. Still needed:",
+      invalidKeyLength: "The key length does not match the selected AES variant.",
+      invalidIvLength: "Wrong IV length: CBC and CTR need 16 bytes.",
+      invalidBlockLength: "The data length must be a multiple of 16 bytes.",
+      invalidPadding: "Invalid PKCS#7 padding: check the key, IV or mode.",
+      invalidTag: "The tag must be 12–16 bytes of hex.",
+      authFailed: "Authentication failed: the tag does not match."
+    },
+    enigma: {
+      models: {
+        I: "Enigma I",
+        M3: "Enigma M3",
+        M4: "Enigma M4"
+      },
+      beta: "Beta",
+      gamma: "Gamma"
+    },
+    encodingVariants: {
+      standard: "Standard",
+      url: "URL-safe",
+      rfc4648: "RFC 4648",
+      crockford: "Crockford",
+      adobe: "Adobe",
+      z85: "Z85"
+    },
+    previewModes: {
+      text: "Text",
+      diff: "Diff"
+    },
+    spellingSystems: {
+      nato: "NATO / ICAO (Alfa, Bravo…)",
+      ru: "Russian (Анна, Борис…)",
+      uz: "Uzbek (Anvar, Bobur…)"
+    },
+    baudotVariants: {
+      ita2: "ITA2 (international)",
+      mtk2: "MTK-2 (Cyrillic)",
+      baudot: "Original Baudot (1888)"
+    },
+    baudotFormats: {
+      binary: "Binary (5 bits)",
+      tape: "Punched tape"
+    },
+    urlVariants: {
+      component: "Component (encodeURIComponent)",
+      uri: "Full URI (encodeURI)",
+      form: "Form (space = +)"
+    },
+    unicodeNotations: {
+      "u-plus": "U+XXXX",
+      js: "\\uXXXX (JavaScript)",
+      "html-hex": "&#x..; (HTML, hex)",
+      "html-decimal": "&#..; (HTML, decimal)"
+    },
+    numeralBases: {
+      2: "Binary (2)",
+      8: "Octal (8)",
+      10: "Decimal (10)",
+      16: "Hexadecimal (16)"
+    },
+    numeralUnits: {
+      bytes: "UTF-8 bytes",
+      codepoints: "Unicode code points"
+    },
+    bitwiseOperations: {
+      xor: "XOR",
+      and: "AND",
+      or: "OR",
+      not: "NOT",
+      shl: "Shift left (<<)",
+      shr: "Shift right (>>)"
+    },
+    baconVariants: {
+      24: "24 letters (I = J, U = V)",
+      26: "26 letters"
+    },
+    baconHiding: {
+      none: "None: A/B string",
+      case: "Letter case (lower = A, upper = B)",
+      font: "Two fonts (regular = A, bold = B)"
+    },
+    keyModes: {
+      keyword: "Keyword",
+      mapping: "Full alphabet"
+    },
+    hashFormats: {
+      hex: "Hex",
+      "hex-upper": "HEX (uppercase)",
+      base64: "Base64"
+    },
+    byteFormats: {
+      text: "Text (UTF-8)",
+      hex: "Hex",
+      base64: "Base64"
+    },
+    morseTables: {
+      latin: "International (ITU)",
+      cyrillic: "Cyrillic"
+    },
+    messages: {
+      noLetters: "No letters to analyse in the text.",
+      needsBuiltinAlphabet: "Frequency analysis needs a built-in alphabet.",
+      macMatch: "MAC matches.",
+      macMismatch: "MAC does not match.",
+      tagVerified: "Tag verified.",
+      unicodeDecodeHint: "Decoding recognises U+XXXX, \\uXXXX, \\u{...}, &#x..; and &#..; forms together.",
+      oneWayHint: "This step cannot be run in reverse.",
+      rotNotSelfInverse: "the alphabet has an odd number of letters, so applying the card twice does not restore the text. Decode with the reverse path or a Caesar decode with the same shift.",
+      reverseBlocked: "Reverse path is broken. Steps without an inverse:",
+      reverseFailed: "The reverse run failed at these steps, so the input was left unchanged:",
+      invalidHexDraft: "The output is shown as hex bytes. Edit it as hex to run the chain backwards.",
+      reverseNotText: "The reversed chain does not produce valid text, so the input was left unchanged.",
+      reverseKeyRequired: "Enter the missing keys before running the chain backwards, so the input was left unchanged.",
+      outputKeyRequired: "This is not the real result: these steps are waiting for a key and pass text through unchanged:",
+      reverseActive: "The input is being computed from the output through the reversed chain.",
+      noChanges: "This step did not change the text.",
+      previewTruncated: "Characters shown:"
+    },
     status: {
       idle: "",
       noInput: "No input text to copy.",
       noOutput: "No output to copy.",
       copied: "Text copied.",
-      denied: "Clipboard permission is unavailable."
+      denied: "Clipboard permission is unavailable.",
+      linkCopied: "Link copied."
+    },
+    pipelineRun: {
+      queued: "Queued",
+      running: "Running…",
+      done: "Done",
+      progress: "Computing step",
+      reverseProgress: "Reversing step",
+      stale: "Showing the previous result until the new run finishes.",
+      cancel: "Cancel",
+      messages: {
+        idle: "",
+        waiting: "Waiting for typing to pause…",
+        cancelled: "Computation cancelled. Edit the input or a card to run again.",
+        failed: "Computation stopped with an error."
+      }
+    },
+    recipes: {
+      title: "Recipes",
+      namePlaceholder: "Recipe name",
+      untitled: "Recipe",
+      includeInput: "Include input",
+      save: "Save",
+      load: "Load",
+      remove: "Delete",
+      rename: "Rename recipe",
+      export: "Export JSON",
+      import: "Import JSON",
+      empty: "No saved recipes yet.",
+      messages: {
+        saved: "Recipe saved.",
+        loaded: "Recipe loaded:",
+        imported: "Recipes imported:",
+        invalidRecipeFile: "The file is not in the recipe format.",
+        unsupportedRecipeVersion: "This format version is not supported.",
+        unknownOperations: "Import rejected. Unknown operation types:",
+        storageFailed: "Recipes could not be written to browser storage (it may be full). Changes will be lost on reload: export them as JSON or save without the input."
+      }
     },
     library: {
       title: "Operation library",
@@ -555,6 +1416,7 @@ const TRANSLATIONS = {
       spelling: "Spelling alphabet",
       enigma: "Enigma machine",
       caesar: "Caesar cipher",
+      "caesar-crack": "Caesar cracker",
       affine: "Affine cipher",
       rot13: "ROT13",
       a1z26: "A1Z26",
@@ -582,51 +1444,116 @@ const TRANSLATIONS = {
   }
 };
 
-const applyStep = (text, step) => {
-  switch (step.type) {
-    case "caesar": {
-      const normalizedShift = ((step.shift % 26) + 26) % 26;
-      const effectiveShift = step.mode === "encode" ? normalizedShift : (26 - normalizedShift) % 26;
-      return caesarCipher(text, effectiveShift, step.preserveCase);
-    }
+const PREVIEW_MODES = ["text", "diff"];
+const DIFF_CELL_LIMIT = 250000;
+const WORKER_INPUT_THRESHOLD = 50000;
+const PIPELINE_DEBOUNCE_MS = 250;
+const IDLE_RUN = { status: "idle", result: null, phase: "forward", current: 0 };
 
-    case "reverse":
-      return reverseText(text);
+const pushSegment = (segments, type, text) => {
+  const last = segments[segments.length - 1];
+  if (last?.type === type) last.text += text;
+  else segments.push({ type, text });
+};
 
-    case "replace":
-      return replaceText(text, step.fromText, step.toText, step.matchCase);
+const diffChars = (before, after) => {
+  const source = Array.from(before);
+  const target = Array.from(after);
+  const segments = [];
 
-    case "case-transform":
-      return transformCase(text, step.caseMode);
+  if (source.length === target.length) {
+    target.forEach((char, index) => pushSegment(segments, char === source[index] ? "same" : "changed", char));
+    return segments;
+  }
 
-    case "rot13":
-      return caesarCipher(text, 13, true);
+  let start = 0;
+  while (start < source.length && start < target.length && source[start] === target[start]) start += 1;
+  let sourceEnd = source.length;
+  let targetEnd = target.length;
+  while (sourceEnd > start && targetEnd > start && source[sourceEnd - 1] === target[targetEnd - 1]) {
+    sourceEnd -= 1;
+    targetEnd -= 1;
+  }
 
-    case "a1z26":
-      return step.mode === "decode" ? a1z26Decode(text) : a1z26Encode(text);
+  const removed = source.slice(start, sourceEnd);
+  const added = target.slice(start, targetEnd);
+  pushSegment(segments, "same", source.slice(0, start).join(""));
 
-    case "vigenere":
-      return vigenereCipher(text, step.key, step.mode, step.preserveCase);
+  if (removed.length * added.length > DIFF_CELL_LIMIT) {
+    pushSegment(segments, "removed", removed.join(""));
+    pushSegment(segments, "added", added.join(""));
+    pushSegment(segments, "same", source.slice(sourceEnd).join(""));
+    return segments.filter((segment) => segment.text);
+  }
 
-    case "rail-fence":
-      return step.mode === "decode"
-        ? railFenceDecode(text, clampRails(step.rails))
-        : railFenceEncode(text, clampRails(step.rails));
+  const width = added.length + 1;
+  const lengths = new Uint16Array((removed.length + 1) * width);
+  for (let row = removed.length - 1; row >= 0; row -= 1) {
+    for (let column = added.length - 1; column >= 0; column -= 1) {
+      lengths[row * width + column] =
+        removed[row] === added[column]
+          ? lengths[(row + 1) * width + column + 1] + 1
+          : Math.max(lengths[(row + 1) * width + column], lengths[row * width + column + 1]);
+    }
+  }
 
-    default:
-      return text;
+  let row = 0;
+  let column = 0;
+  while (row < removed.length || column < added.length) {
+    if (row < removed.length && column < added.length && removed[row] === added[column]) {
+      pushSegment(segments, "same", removed[row]);
+      row += 1;
+      column += 1;
+    } else if (
+      column >= added.length ||
+      (row < removed.length && lengths[(row + 1) * width + column] >= lengths[row * width + column + 1])
+    ) {
+      pushSegment(segments, "removed", removed[row]);
+      row += 1;
+    } else {
+      pushSegment(segments, "added", added[column]);
+      column += 1;
+    }
   }
+  pushSegment(segments, "same", source.slice(sourceEnd).join(""));
+  return segments.filter((segment) => segment.text);
 };
 
+const truncatePreview = (text) =>
+  Array.from(text.slice(0, STEP_PREVIEW_LENGTH * 2)).slice(0, STEP_PREVIEW_LENGTH).join("");
+
+const canUseWorker = () => typeof Worker !== "undefined";
+
 export default function App() {
-  const [language, setLanguage] = useState("uz");
-  const [inputText, setInputText] = useState("");
-  const [steps, setSteps] = useState([createStep(1)]);
+  const [sharedPipeline] = useState(() => readShareHash(window.location.hash));
+  const [language, setLanguage] = useState(readStoredLanguage);
+  const [inputText, setInputText] = useState(sharedPipeline?.input ?? "");
+  const [steps, setSteps] = useState(sharedPipeline?.steps ?? [createStep(1)]);
   const [copyInputStatus, setCopyInputStatus] = useState("idle");
   const [copyOutputStatus, setCopyOutputStatus] = useState("idle");
+  const [outputDraft, setOutputDraft] = useState(null);
+  const [draftAsHex, setDraftAsHex] = useState(false);
+  const [previewModes, setPreviewModes] = useState({});
+  const [dragging, setDragging] = useState(null);
+  const [pipelineRun, setPipelineRun] = useState(IDLE_RUN);
+  const [shareStatus, setShareStatus] = useState("idle");
+  const [shareInput, setShareInput] = useState(true);
+  const [shareSecrets, setShareSecrets] = useState(true);
+  const [recipes, setRecipes] = useState(readStoredRecipes);
+  const [recipeName, setRecipeName] = useState("");
+  const [recipeInput, setRecipeInput] = useState(false);
+  const [recipeStatus, setRecipeStatus] = useState(null);
   const [isLibraryOpen, setIsLibraryOpen] = useState(false);
   const [insertPosition, setInsertPosition] = useState(0);
-  const nextId = useRef(2);
+  const nextId = useRef((sharedPipeline?.steps.length ?? 1) + 1);
+  const audioRef = useRef(null);
+  const importRef = useRef(null);
+  const storedRecipesRef = useRef(recipes);
+  const workerRef = useRef(null);
+  const runIdRef = useRef(0);
+  const workerBusyRef = useRef(false);
+  const diffCacheRef = useRef({});
+  const [playingStepId, setPlayingStepId] = useState(null);
 
   const t = TRANSLATIONS[language] ?? TRANSLATIONS.uz;
 
@@ -635,26 +1562,150 @@ export default function App() {
     document.title = t.pageTitle;
   }, [t]);
 
+  useEffect(() => {
+    writeStorage(LANGUAGE_STORAGE_KEY, language);
+  }, [language]);
+
+  useEffect(() => {
+    if (recipes === storedRecipesRef.current) return;
+    storedRecipesRef.current = recipes;
+    if (!writeStorage(RECIPES_STORAGE_KEY, JSON.stringify(serializeRecipes(recipes)))) {
+      setRecipeStatus({ key: "storageFailed", isError: true });
+    }
+  }, [recipes]);
+
   const operationLabel = (operationId) => t.operations[operationId] ?? operationId;
   const countText = (value, unit) => `${value} ${unit}`;
   const hasMode = (type) => MODE_OPERATIONS.has(type);
+  const hasAnalysis = (type) => ANALYSIS_OPERATIONS.has(type);
 
-  const outputText = useMemo(
-    () => steps.reduce((transformed, step) => applyStep(transformed, step), inputText),
-    [inputText, steps]
+  const forwardInput = outputDraft === null ? inputText : null;
+  const isLargeInput =
+    Math.max(inputText.length, outputDraft?.length ?? 0) > WORKER_INPUT_THRESHOLD && canUseWorker();
+
+  const syncResult = useMemo(
+    () =>
+      isLargeInput
+        ? null
+        : evaluatePipeline({ input: inputText, draft: outputDraft, asHex: draftAsHex }, steps),
+    [isLargeInput, forwardInput, outputDraft, draftAsHex, steps]
   );
 
-  const stageOutputs = useMemo(() => {
-    let transformed = inputText;
-    return steps.map((step) => {
-      transformed = applyStep(transformed, step);
-      return transformed;
-    });
-  }, [inputText, steps]);
+  const stopWorker = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    workerBusyRef.current = false;
+  };
+
+  const startWorkerRun = (runId, job, runSteps) => {
+    if (workerBusyRef.current || !workerRef.current) {
+      stopWorker();
+      workerRef.current = new Worker(new URL("./pipelineWorker.js", import.meta.url), {
+        type: "module"
+      });
+    }
+
+    const worker = workerRef.current;
+    worker.onmessage = ({ data }) => {
+      if (data.runId !== runIdRef.current) return;
+      if (data.type === "progress") {
+        setPipelineRun((current) => ({
+          ...current,
+          status: "running",
+          phase: data.phase,
+          current: data.index
+        }));
+        return;
+      }
+      workerBusyRef.current = false;
+      setPipelineRun({ ...IDLE_RUN, result: data.result });
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      if (runId !== runIdRef.current) return;
+      stopWorker();
+      setPipelineRun({ ...IDLE_RUN, status: "failed" });
+    };
+    workerBusyRef.current = true;
+    worker.postMessage({ runId, job, steps: runSteps });
+  };
+
+  useEffect(() => {
+    runIdRef.current += 1;
+    const runId = runIdRef.current;
+
+    if (!isLargeInput) {
+      if (workerBusyRef.current) stopWorker();
+      setPipelineRun((current) => (current === IDLE_RUN ? current : IDLE_RUN));
+      return undefined;
+    }
+
+    const job = { input: inputText, draft: outputDraft, asHex: draftAsHex };
+    setPipelineRun((current) => ({ ...current, status: "waiting", current: 0 }));
+    const timer = setTimeout(() => {
+      if (runId === runIdRef.current) startWorkerRun(runId, job, steps);
+    }, PIPELINE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [isLargeInput, forwardInput, outputDraft, draftAsHex, steps]);
+
+  useEffect(() => stopWorker, []);
+
+  const cancelRun = () => {
+    runIdRef.current += 1;
+    stopWorker();
+    setPipelineRun({ ...IDLE_RUN, status: "cancelled" });
+  };
+
+  const pipelineResult = syncResult ?? pipelineRun.result;
+  const stages = pipelineResult?.stages ?? [];
+  const isComputing = pipelineRun.status === "waiting" || pipelineRun.status === "running";
+  const isStale = isComputing && pipelineRun.result !== null;
+
+  const stageById = new Map(stages.map((stage) => [stage.id, stage]));
+  const stageFor = (step) => {
+    const stage = stageById.get(step.id);
+    return stage?.type === step.type ? stage : null;
+  };
+
+  const stageInput = (index) =>
+    index === 0 ? textValue(inputText) : stageFor(steps[index - 1])?.value ?? textValue("");
+  const stageOutput = (step) => stageFor(step)?.value ?? textValue("");
+
+  const stepProgress = (index) => {
+    if (!isComputing) return null;
+    if (pipelineRun.status === "waiting") return "queued";
+    if (index === pipelineRun.current) return "running";
+    const isDone = pipelineRun.phase === "reverse" ? index > pipelineRun.current : index < pipelineRun.current;
+    return isDone ? "done" : "queued";
+  };
+
+  const completedSteps =
+    pipelineRun.phase === "reverse" ? steps.length - 1 - pipelineRun.current : pipelineRun.current;
+
+  const outputValue = stages.length ? stages[stages.length - 1].value : textValue("");
+  const outputText = displayValue(outputValue);
+  const missingKeySteps = keyRequiredSteps(steps);
+
+  const reverseResult =
+    outputDraft !== null && pipelineResult?.draft === outputDraft ? pipelineResult.reverse : null;
+
+  useEffect(() => {
+    if (reverseResult?.text != null) setInputText(reverseResult.text);
+  }, [reverseResult]);
+
+  const stepListText = (indices) =>
+    indices.map((index) => `${t.stepLabel} ${index + 1}: ${operationLabel(steps[index].type)}`).join(", ");
+
+  const sizeText = (value) =>
+    countText(valueSize(value), value.type === "bytes" ? t.units.bytes : t.units.chars);
 
   const updateStep = (id, patch) => {
     setSteps((current) =>
-      current.map((step) => (step.id === id ? { ...step, ...patch } : step))
+      current.map((step) => {
+        if (step.id !== id) return step;
+        const setsSecret = SECRET_FIELDS[step.type]?.some((field) => field in patch);
+        return { ...step, ...patch, ...(setsSecret ? { keyRequired: false } : {}) };
+      })
     );
     setCopyInputStatus("idle");
     setCopyOutputStatus("idle");
@@ -692,12 +1743,10 @@ export default function App() {
     setCopyOutputStatus("idle");
   };
 
-  const moveStep = (id, direction) => {
+  const moveStepTo = (id, targetIndex) => {
     setSteps((current) => {
       const index = current.findIndex((step) => step.id === id);
-      if (index < 0) return current;
-
-      const targetIndex = direction === "up" ? index - 1 : index + 1;
+      if (index < 0 || targetIndex === index) return current;
       if (targetIndex < 0 || targetIndex >= current.length) return current;
 
       const next = [...current];
@@ -709,8 +1758,70 @@ export default function App() {
     setCopyOutputStatus("idle");
   };
 
+  const moveStep = (id, direction) => {
+    const index = steps.findIndex((step) => step.id === id);
+    moveStepTo(id, direction === "up" ? index - 1 : index + 1);
+  };
+
+  const duplicateStep = (id) => {
+    const copyId = nextId.current;
+    nextId.current += 1;
+
+    setSteps((current) => {
+      const index = current.findIndex((step) => step.id === id);
+      if (index < 0) return current;
+
+      const next = [...current];
+      next.splice(index + 1, 0, { ...current[index], id: copyId });
+      return next;
+    });
+    setCopyInputStatus("idle");
+    setCopyOutputStatus("idle");
+  };
+
+  const stepCardClass = (step, index) =>
+    [
+      "step-card",
+      step.disabled && "is-disabled",
+      dragging?.id === step.id && "is-dragging",
+      dragging && dragging.id !== step.id && dragging.targetIndex === index && "is-drop-target"
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+  const dragHandleProps = (step, index) => ({
+    onPointerDown: (event) => {
+      event.currentTarget.setPointerCapture?.(event.pointerId);
+      setDragging({ id: step.id, targetIndex: index });
+    },
+    onPointerMove: (event) => {
+      if (dragging?.id !== step.id) return;
+      const card = document.elementFromPoint(event.clientX, event.clientY)?.closest("[data-step-index]");
+      if (card) setDragging({ id: step.id, targetIndex: Number(card.dataset.stepIndex) });
+    },
+    onPointerUp: () => {
+      if (dragging?.id === step.id) moveStepTo(step.id, dragging.targetIndex);
+      setDragging(null);
+    },
+    onPointerCancel: () => setDragging(null),
+    onKeyDown: (event) => {
+      const targets = {
+        ArrowUp: index - 1,
+        ArrowLeft: index - 1,
+        ArrowDown: index + 1,
+        ArrowRight: index + 1,
+        Home: 0,
+        End: steps.length - 1
+      };
+      if (!(event.key in targets)) return;
+      event.preventDefault();
+      moveStepTo(step.id, targets[event.key]);
+    }
+  });
+
   const resetPipeline = () => {
     setSteps([createStep(1)]);
+    setOutputDraft(null);
     nextId.current = 2;
     setCopyInputStatus("idle");
     setCopyOutputStatus("idle");
@@ -718,12 +1829,153 @@ export default function App() {
 
   const clearAll = () => {
     setInputText("");
+    setOutputDraft(null);
     setSteps([createStep(1)]);
     nextId.current = 2;
     setCopyInputStatus("idle");
     setCopyOutputStatus("idle");
   };
 
+  useEffect(() => {
+    const handleHashChange = () => {
+      const shared = readShareHash(window.location.hash);
+      if (!shared) return;
+
+      setSteps(shared.steps);
+      nextId.current = shared.steps.length + 1;
+      if (shared.input !== null) {
+        setInputText(shared.input);
+        setOutputDraft(null);
+      }
+    };
+
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, []);
+
+  useEffect(() => setShareStatus("idle"), [steps, inputText, shareInput, shareSecrets]);
+
+  const sharePipeline = async () => {
+    const { origin, pathname, search } = window.location;
+    const hash = encodeShareHash(steps, shareInput ? inputText : null, shareSecrets);
+    const url = `${origin}${pathname}${search}#${hash}`;
+    window.history.replaceState(null, "", url);
+
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareStatus("linkCopied");
+    } catch {
+      setShareStatus("denied");
+    }
+  };
+
+  const saveRecipe = () => {
+    const recipe = {
+      id: createRecipeId(),
+      name: recipeName.trim() || `${t.recipes.untitled} ${recipes.length + 1}`,
+      steps: steps.map((step) => serializeStep(step)),
+      input: recipeInput ? inputText : null
+    };
+    setRecipes((current) => [...current, recipe]);
+    setRecipeName("");
+    setRecipeStatus({ key: "saved" });
+  };
+
+  const loadRecipe = (recipe) => {
+    const restored = recipe.steps.map((saved, index) => restoreStep(saved, index + 1)).filter(Boolean);
+    if (!restored.length) return;
+
+    setSteps(restored);
+    nextId.current = restored.length + 1;
+    if (recipe.input !== null) {
+      setInputText(recipe.input);
+      setOutputDraft(null);
+    }
+    setRecipeStatus({ key: "loaded", detail: recipe.name });
+    setCopyInputStatus("idle");
+    setCopyOutputStatus("idle");
+  };
+
+  const renameRecipe = (id, name) => {
+    setRecipes((current) => current.map((recipe) => (recipe.id === id ? { ...recipe, name } : recipe)));
+  };
+
+  const deleteRecipe = (id) => {
+    setRecipes((current) => current.filter((recipe) => recipe.id !== id));
+    setRecipeStatus(null);
+  };
+
+  const exportRecipes = () => {
+    const blob = new Blob([JSON.stringify(serializeRecipes(recipes), null, 2)], {
+      type: "application/json"
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "sezor-recipes.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importRecipes = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      const result = parseRecipeFile(JSON.parse(await file.text()));
+      if (result.error) {
+        setRecipeStatus({ key: result.error, detail: result.unknownTypes?.join(", "), isError: true });
+        return;
+      }
+      const named = result.recipes.map((recipe, index) =>
+        recipe.name ? recipe : { ...recipe, name: `${t.recipes.untitled} ${recipes.length + index + 1}` }
+      );
+      setRecipes((current) => [...current, ...named]);
+      setRecipeStatus({ key: "imported", detail: String(result.recipes.length) });
+    } catch {
+      setRecipeStatus({ key: "invalidRecipeFile", isError: true });
+    }
+  };
+
+  const stopMorse = () => {
+    audioRef.current?.close();
+    audioRef.current = null;
+    setPlayingStepId(null);
+  };
+
+  useEffect(() => () => audioRef.current?.close(), []);
+
+  const playMorse = (stepId, timeline) => {
+    stopMorse();
+    const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+    if (!AudioContextClass || !timeline.tones.length) return;
+
+    const context = new AudioContextClass();
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.frequency.value = MORSE_TONE_HZ;
+    gain.gain.value = 0;
+    oscillator.connect(gain).connect(context.destination);
+
+    const startAt = context.currentTime + 0.05;
+    for (const tone of timeline.tones) {
+      const at = startAt + tone.start;
+      gain.gain.setValueAtTime(0, at);
+      gain.gain.linearRampToValueAtTime(MORSE_VOLUME, at + MORSE_RAMP);
+      gain.gain.setValueAtTime(MORSE_VOLUME, at + tone.duration - MORSE_RAMP);
+      gain.gain.linearRampToValueAtTime(0, at + tone.duration);
+    }
+
+    oscillator.onended = () => {
+      if (audioRef.current === context) stopMorse();
+    };
+    oscillator.start(startAt);
+    oscillator.stop(startAt + timeline.duration + 0.05);
+    audioRef.current = context;
+    setPlayingStepId(stepId);
+  };
+
   const copyText = async (text, setStatus, emptyKey = "noOutput") => {
     if (!text) {
       setStatus(emptyKey);
@@ -738,52 +1990,555 @@ export default function App() {
     }
   };
 
-  const renderStepControls = (step) => {
-    switch (step.type) {
-      case "caesar":
-        return (
-          <>
-            <div className="field-group compact">
-              <div className="label-row">
-                <label htmlFor={`shift-range-${step.id}`}>{t.labels.shift}</label>
-                <span className="mono">{step.shift}</span>
-              </div>
-              <input
-                id={`shift-range-${step.id}`}
-                type="range"
-                min="0"
-                max={String(MAX_SHIFT)}
-                value={step.shift}
-                onChange={(event) =>
-                  updateStep(step.id, { shift: clampShift(event.target.value) })
-                }
-              />
-              <input
-                className="control mono"
-                type="number"
-                min="0"
-                max={String(MAX_SHIFT)}
-                value={step.shift}
-                onChange={(event) =>
-                  updateStep(step.id, { shift: clampShift(event.target.value) })
-                }
-              />
-            </div>
+  const togglePreview = (id, mode) => {
+    setPreviewModes((current) => ({ ...current, [id]: current[id] === mode ? null : mode }));
+  };
 
-            <div className="field-group compact">
-              <label className="switch">
-                <input
-                  type="checkbox"
-                  checked={Boolean(step.preserveCase)}
-                  onChange={(event) =>
-                    updateStep(step.id, { preserveCase: event.target.checked })
-                  }
-                />
-                <span>{t.labels.preserveCase}</span>
-              </label>
-            </div>
-          </>
-        );
+  const cachedDiff = (stepId, before, after) => {
+    const cached = diffCacheRef.current[stepId];
+    if (cached?.before === before && cached.after === after) return cached.segments;
+    const segments = diffChars(before, after);
+    diffCacheRef.current[stepId] = { before, after, segments };
+    return segments;
+  };
+
+  const renderStepPreview = (step, inputValue, outputValue) => {
+    const mode = previewModes[step.id];
+    const after = mode ? displayValue(outputValue) : "";
+    const shown = truncatePreview(after);
+    const isTruncated = shown.length < after.length;
+    const segments = mode === "diff" ? cachedDiff(step.id, truncatePreview(displayValue(inputValue)), shown) : [];
+
+    return (
+      <div className="field-group compact">
+        <div className="preview-bar">
+          <span>{t.labels.stepPreview}</span>
+          {PREVIEW_MODES.map((previewMode) => (
+            <button
+              key={previewMode}
+              className={`multiplier-chip ${mode === previewMode ? "is-selected" : ""}`}
+              type="button"
+              aria-pressed={mode === previewMode}
+              aria-expanded={mode === previewMode}
+              onClick={() => togglePreview(step.id, previewMode)}
+            >
+              {t.previewModes[previewMode]}
+            </button>
+          ))}
+        </div>
+        {mode === "text" ? <p className="solver-preview mono">{shown}</p> : null}
+        {mode === "diff" ? (
+          <p className="solver-preview mono">
+            {segments.some((segment) => segment.type !== "same")
+              ? segments.map((segment, segmentIndex) =>
+                  segment.type === "same" ? (
+                    segment.text
+                  ) : (
+                    <span key={segmentIndex} className={`diff-${segment.type}`}>
+                      {segment.text}
+                    </span>
+                  )
+                )
+              : t.messages.noChanges}
+          </p>
+        ) : null}
+        {mode && isTruncated ? (
+          <p className="field-note">
+            {t.messages.previewTruncated} {STEP_PREVIEW_LENGTH}
+          </p>
+        ) : null}
+      </div>
+    );
+  };
+
+  const renderAlphabetControl = (step) => {
+    const customResult =
+      step.alphabet === CUSTOM_ALPHABET ? parseCustomAlphabet(step.customAlphabet) : null;
+
+    return (
+      <>
+        <div className="field-group compact">
+          <label htmlFor={`alphabet-${step.id}`}>{t.labels.alphabet}</label>
+          <select
+            id={`alphabet-${step.id}`}
+            className="control"
+            value={step.alphabet}
+            onChange={(event) => updateStep(step.id, { alphabet: event.target.value })}
+          >
+            {ALPHABET_IDS.map((alphabetId) => (
+              <option key={alphabetId} value={alphabetId}>
+                {t.alphabets[alphabetId]}
+              </option>
+            ))}
+            <option value={CUSTOM_ALPHABET}>{t.alphabets.custom}</option>
+          </select>
+        </div>
+
+        {customResult ? (
+          <div className="field-group compact">
+            <div className="label-row">
+              <label htmlFor={`custom-alphabet-${step.id}`}>{t.labels.customAlphabet}</label>
+              <span className="mono">{Array.from(step.customAlphabet ?? "").length}</span>
+            </div>
+            <input
+              id={`custom-alphabet-${step.id}`}
+              className="control mono"
+              type="text"
+              spellCheck={false}
+              value={step.customAlphabet ?? ""}
+              placeholder={t.placeholders.customAlphabet}
+              onChange={(event) => updateStep(step.id, { customAlphabet: event.target.value })}
+            />
+            {customResult.error ? (
+              <p className="field-error">
+                {t.errors[customResult.error]}
+                {customResult.duplicates ? (
+                  <span className="mono"> {customResult.duplicates.join(" ")}</span>
+                ) : null}
+              </p>
+            ) : null}
+          </div>
+        ) : null}
+      </>
+    );
+  };
+
+  const renderBytesField = (step, field, formatField, label) => (
+    <div className="field-grid">
+      <div className="field-group compact">
+        <label htmlFor={`${field}-${step.id}`}>{label}</label>
+        <input
+          id={`${field}-${step.id}`}
+          className="control mono"
+          type="text"
+          value={step[field]}
+          onChange={(event) => updateStep(step.id, { [field]: event.target.value })}
+        />
+      </div>
+      <div className="field-group compact">
+        <label htmlFor={`${formatField}-${step.id}`}>{t.labels[formatField]}</label>
+        <select
+          id={`${formatField}-${step.id}`}
+          className="control"
+          value={step[formatField]}
+          onChange={(event) => updateStep(step.id, { [formatField]: event.target.value })}
+        >
+          {BYTE_FORMATS.map((format) => (
+            <option key={format} value={format}>
+              {t.byteFormats[format]}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+
+  const renderCaesarCandidates = (step, { candidates, sample }) => {
+    if (!candidates) return null;
+    if (!candidates.length) return <p className="field-note">{t.messages.noLetters}</p>;
+
+    const chosen = pickCaesarCandidate(candidates, step.selection);
+
+    return (
+      <div className="candidate-list" role="listbox" aria-label={t.labels.candidates}>
+        {candidates.map((candidate) => {
+          const isSelected = candidate === chosen;
+          return (
+            <button
+              key={`${candidate.language}-${candidate.shift}`}
+              className={`candidate-item ${isSelected ? "is-selected" : ""}`}
+              type="button"
+              role="option"
+              aria-selected={isSelected}
+              onClick={() =>
+                updateStep(step.id, {
+                  selection: { language: candidate.language, shift: candidate.shift }
+                })
+              }
+            >
+              <span className="candidate-meta mono">
+                {t.labels.shift} {candidate.shift} · χ² {candidate.score.toFixed(1)}
+              </span>
+              <span className="candidate-preview">
+                {caesarCipher(sample, -candidate.shift, ALPHABETS[candidate.language])}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+    );
+  };
+
+  const renderVigenereAnalysis = (step, { analysis, sample }) => {
+    if (analysis === undefined) return null;
+    if (!analysis) return <p className="field-note">{t.messages.needsBuiltinAlphabet}</p>;
+    if (!analysis.candidates.length) return <p className="field-note">{t.messages.noLetters}</p>;
+
+    const alphabet = ALPHABETS[step.alphabet];
+    const chosen = pickVigenereCandidate(analysis, step.keyLength);
+
+    return (
+      <>
+        <p className="field-note mono">
+          Friedman ≈ {analysis.friedman ? analysis.friedman.toFixed(1) : "—"} · IoC{" "}
+          {analysis.observedIoc.toFixed(4)}
+        </p>
+        <div className="candidate-list" role="listbox" aria-label={t.labels.candidates}>
+          {analysis.candidates.slice(0, MAX_ANALYSIS_CANDIDATES).map((candidate) => {
+            const isSelected = candidate === chosen;
+            return (
+              <button
+                key={candidate.keyLength}
+                className={`candidate-item ${isSelected ? "is-selected" : ""}`}
+                type="button"
+                role="option"
+                aria-selected={isSelected}
+                onClick={() => updateStep(step.id, { keyLength: candidate.keyLength })}
+              >
+                <span className="candidate-meta mono">
+                  {t.labels.keyLength} {candidate.keyLength} · {candidate.key} ·{" "}
+                  {Math.round(candidate.confidence * 100)}%
+                </span>
+                <span className="candidate-preview">
+                  {vigenereCipher(sample, candidate.keyOffsets, "decode", alphabet, step.preserveCase)}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+        <div className="key-letters mono">
+          {chosen.keyOffsets.map((offset, position) => (
+            <span key={position} className="key-letter">
+              <strong>{alphabet.letters[offset].toUpperCase()}</strong>
+              <small>{Math.round(chosen.letterConfidence[position] * 100)}%</small>
+            </span>
+          ))}
+        </div>
+        <button
+          className="btn btn-soft"
+          type="button"
+          onClick={() => updateStep(step.id, { mode: "decode", key: chosen.key, keyLength: null })}
+        >
+          {t.buttons.useKey}
+        </button>
+      </>
+    );
+  };
+
+  const renderAffineCandidates = (step, { candidates, sample }) => {
+    if (candidates === undefined) return null;
+    if (!candidates) return <p className="field-note">{t.messages.needsBuiltinAlphabet}</p>;
+    if (!candidates.length) return <p className="field-note">{t.messages.noLetters}</p>;
+
+    const alphabet = ALPHABETS[step.alphabet];
+    const chosen = pickAffineCandidate(candidates, step.selection);
+    const shown = candidates.slice(0, MAX_ANALYSIS_CANDIDATES);
+
+    return (
+      <>
+        <div className="candidate-list" role="listbox" aria-label={t.labels.candidates}>
+          {(shown.includes(chosen) ? shown : [...shown, chosen]).map((candidate) => {
+            const isSelected = candidate === chosen;
+            return (
+              <button
+                key={`${candidate.multiplier}-${candidate.offset}`}
+                className={`candidate-item ${isSelected ? "is-selected" : ""}`}
+                type="button"
+                role="option"
+                aria-selected={isSelected}
+                onClick={() =>
+                  updateStep(step.id, {
+                    selection: { multiplier: candidate.multiplier, offset: candidate.offset }
+                  })
+                }
+              >
+                <span className="candidate-meta mono">
+                  a {candidate.multiplier} · b {candidate.offset} · χ² {candidate.score.toFixed(1)}
+                </span>
+                <span className="candidate-preview">
+                  {affineCipher(
+                    sample,
+                    candidate.multiplier,
+                    candidate.offset,
+                    "decode",
+                    alphabet,
+                    step.preserveCase
+                  )}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+        <button
+          className="btn btn-soft"
+          type="button"
+          onClick={() =>
+            updateStep(step.id, {
+              mode: "decode",
+              multiplier: chosen.multiplier,
+              offset: chosen.offset,
+              crack: false,
+              selection: null
+            })
+          }
+        >
+          {t.buttons.useKey}
+        </button>
+      </>
+    );
+  };
+
+  const renderSubstitutionSolver = (step, { counts, total, sample }) => {
+    const alphabet = resolveAlphabet(step);
+    if (!alphabet || !counts) return null;
+
+    const conflicts = findSolutionConflicts(step.solution);
+    const frequent = counts
+      .map((count, index) => ({ count, index }))
+      .filter((entry) => entry.count)
+      .sort((left, right) => right.count - left.count);
+    const tokens = solveSubstitution(sample, step.solution, alphabet, step.preserveCase);
+    const words = tokens.reduce((groups, token) => {
+      const last = groups[groups.length - 1];
+      if (last && last.isWord === token.isLetter) last.tokens.push(token);
+      else groups.push({ isWord: token.isLetter, tokens: [token] });
+      return groups;
+    }, []);
+
+    const assign = (cipherIndex, value) => {
+      const plainIndex = letterIndices(value, alphabet).pop();
+      const solution = { ...step.solution };
+      if (plainIndex === undefined) delete solution[cipherIndex];
+      else solution[cipherIndex] = plainIndex;
+      updateStep(step.id, { solution });
+    };
+
+    return (
+      <>
+        <div className="field-group compact">
+          <span>{t.labels.frequency}</span>
+          {total ? (
+            <div className="frequency-table mono">
+              {frequent.map(({ count, index }) => (
+                <div key={index} className="frequency-row">
+                  <span>{alphabet.letters[index].toUpperCase()}</span>
+                  <span className="frequency-bar">
+                    <span style={{ width: `${(count / frequent[0].count) * 100}%` }} />
+                  </span>
+                  <span>{((count / total) * 100).toFixed(1)}%</span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="field-note">{t.messages.noLetters}</p>
+          )}
+          {LETTER_FREQUENCIES[step.alphabet] ? (
+            <p className="field-note mono">
+              {t.alphabets[step.alphabet]}:{" "}
+              {alphabet.letters
+                .map((letter, index) => ({
+                  letter,
+                  frequency: LETTER_FREQUENCIES[step.alphabet][index]
+                }))
+                .sort((left, right) => right.frequency - left.frequency)
+                .slice(0, 12)
+                .map((entry) => entry.letter)
+                .join(" ")}
+            </p>
+          ) : null}
+        </div>
+
+        <div className="field-group compact">
+          <div className="label-row">
+            <span>{t.labels.assignments}</span>
+            <button
+              className="btn btn-soft"
+              type="button"
+              onClick={() => updateStep(step.id, { solution: {} })}
+            >
+              {t.buttons.clear}
+            </button>
+          </div>
+          <div className="solver-grid mono">
+            {alphabet.letters.map((letter, cipherIndex) => {
+              const plainIndex = step.solution[cipherIndex];
+              return (
+                <label
+                  key={letter}
+                  className={`solver-cell ${conflicts.has(cipherIndex) ? "is-conflict" : ""} ${
+                    counts[cipherIndex] ? "" : "is-unused"
+                  }`}
+                >
+                  <strong>{letter.toUpperCase()}</strong>
+                  <input
+                    className="control mono"
+                    type="text"
+                    aria-label={letter.toUpperCase()}
+                    value={plainIndex === undefined ? "" : alphabet.letters[plainIndex]}
+                    onChange={(event) => assign(cipherIndex, event.target.value)}
+                  />
+                  <small>{counts[cipherIndex]}</small>
+                </label>
+              );
+            })}
+          </div>
+          {conflicts.size ? (
+            <p className="field-error">
+              {t.errors.mappingConflicts}
+              <span className="mono">
+                {" "}
+                {[...conflicts]
+                  .map((cipherIndex) => alphabet.letters[cipherIndex].toUpperCase())
+                  .join(" ")}
+              </span>
+            </p>
+          ) : null}
+        </div>
+
+        <div className="field-group compact">
+          <span>{t.labels.preview}</span>
+          <p className="solver-preview mono">
+            {words.map((group, groupIndex) => {
+              if (!group.isWord) return group.tokens.map((token) => token.raw).join("");
+              const solvedCount = group.tokens.filter((token) => token.solved).length;
+              const state =
+                solvedCount === group.tokens.length ? "is-complete" : solvedCount ? "is-partial" : "";
+              return (
+                <span key={groupIndex} className={`solver-word ${state}`}>
+                  {group.tokens.map((token, tokenIndex) => (
+                    <span key={tokenIndex} className={token.solved ? "is-solved" : "is-unsolved"}>
+                      {token.raw}
+                    </span>
+                  ))}
+                </span>
+              );
+            })}
+          </p>
+        </div>
+      </>
+    );
+  };
+
+  const renderEnigmaSlot = (step, slot) => {
+    const isGreek = slot < 0;
+    const rotorOptions = isGreek
+      ? Object.keys(ENIGMA_GREEK_ROTORS)
+      : (ENIGMA_MODELS[step.model] ?? ENIGMA_MODELS.I).rotors;
+    const rotor = isGreek ? step.greekRotor : step.rotors[slot];
+    const ring = isGreek ? step.greekRing : step.rings[slot];
+    const position = isGreek ? step.greekPosition : step.positions[slot];
+    const slotId = `${step.id}-${isGreek ? "greek" : slot}`;
+
+    return (
+      <div key={slotId} className="rotor-slot">
+        <select
+          aria-label={t.labels.rotors}
+          className="control mono"
+          value={rotor}
+          onChange={(event) =>
+            updateStep(
+              step.id,
+              isGreek
+                ? { greekRotor: event.target.value }
+                : { rotors: replaceAt(step.rotors, slot, event.target.value) }
+            )
+          }
+        >
+          {rotorOptions.map((name) => (
+            <option key={name} value={name}>
+              {isGreek ? t.enigma[name] : name}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label={t.labels.ring}
+          className="control mono"
+          value={ring}
+          onChange={(event) => {
+            const value = Number(event.target.value);
+            updateStep(
+              step.id,
+              isGreek ? { greekRing: value } : { rings: replaceAt(step.rings, slot, value) }
+            );
+          }}
+        >
+          {Array.from(ENIGMA_LETTERS, (letter, index) => (
+            <option key={letter} value={index + 1}>
+              {String(index + 1).padStart(2, "0")} ({letter})
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label={t.labels.position}
+          className="control mono"
+          value={position}
+          onChange={(event) =>
+            updateStep(
+              step.id,
+              isGreek
+                ? { greekPosition: event.target.value }
+                : { positions: replaceAt(step.positions, slot, event.target.value) }
+            )
+          }
+        >
+          {Array.from(ENIGMA_LETTERS, (letter) => (
+            <option key={letter} value={letter}>
+              {letter}
+            </option>
+          ))}
+        </select>
+      </div>
+    );
+  };
+
+  const renderStepControls = (step, details) => {
+    switch (step.type) {
+      case "caesar":
+        return (
+          <>
+            {renderAlphabetControl(step)}
+
+            <div className="field-group compact">
+              <div className="label-row">
+                <label htmlFor={`shift-range-${step.id}`}>{t.labels.shift}</label>
+                <span className="mono">{step.shift}</span>
+              </div>
+              <input
+                id={`shift-range-${step.id}`}
+                type="range"
+                min="0"
+                max={String(MAX_SHIFT)}
+                value={step.shift}
+                onChange={(event) =>
+                  updateStep(step.id, { shift: clampShift(event.target.value) })
+                }
+              />
+              <input
+                className="control mono"
+                type="number"
+                min="0"
+                max={String(MAX_SHIFT)}
+                value={step.shift}
+                onChange={(event) =>
+                  updateStep(step.id, { shift: clampShift(event.target.value) })
+                }
+              />
+            </div>
+
+            <div className="field-group compact">
+              <label className="switch">
+                <input
+                  type="checkbox"
+                  checked={Boolean(step.preserveCase)}
+                  onChange={(event) =>
+                    updateStep(step.id, { preserveCase: event.target.checked })
+                  }
+                />
+                <span>{t.labels.preserveCase}</span>
+              </label>
+            </div>
+          </>
+        );
 
       case "replace":
         return (
@@ -841,20 +2596,158 @@ export default function App() {
           </div>
         );
 
-      case "vigenere":
+      case "numeral-system": {
+        const { invalid = [] } = details;
+
         return (
           <>
+            <div className="field-grid">
+              <div className="field-group compact">
+                <label htmlFor={`base-${step.id}`}>{t.labels.base}</label>
+                <select
+                  id={`base-${step.id}`}
+                  className="control"
+                  value={step.base}
+                  onChange={(event) => updateStep(step.id, { base: Number(event.target.value) })}
+                >
+                  {NUMERAL_BASES.map((base) => (
+                    <option key={base} value={base}>
+                      {t.numeralBases[base]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="field-group compact">
+                <label htmlFor={`unit-${step.id}`}>{t.labels.unit}</label>
+                <select
+                  id={`unit-${step.id}`}
+                  className="control"
+                  value={step.unit}
+                  onChange={(event) => updateStep(step.id, { unit: event.target.value })}
+                >
+                  {NUMERAL_UNITS.map((unit) => (
+                    <option key={unit} value={unit}>
+                      {t.numeralUnits[unit]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
             <div className="field-group compact">
-              <label htmlFor={`key-${step.id}`}>{t.labels.key}</label>
+              <label htmlFor={`separator-${step.id}`}>{t.labels.separator}</label>
               <input
-                id={`key-${step.id}`}
+                id={`separator-${step.id}`}
                 className="control mono"
                 type="text"
-                value={step.key}
-                placeholder={t.placeholders.key}
-                onChange={(event) => updateStep(step.id, { key: event.target.value })}
+                value={step.separator}
+                onChange={(event) => updateStep(step.id, { separator: event.target.value })}
               />
             </div>
+            <div className="field-group compact">
+              <label className="switch">
+                <input
+                  type="checkbox"
+                  checked={Boolean(step.padding)}
+                  onChange={(event) => updateStep(step.id, { padding: event.target.checked })}
+                />
+                <span>
+                  {t.labels.padNumbers} ({numeralWidth(step)})
+                </span>
+              </label>
+            </div>
+            {invalid.length ? (
+              <p className="field-error">
+                {t.errors.invalidNumbers}
+                <span className="mono"> {invalid.slice(0, 8).join(" ")}</span>
+              </p>
+            ) : null}
+          </>
+        );
+      }
+
+      case "bitwise": {
+        const isKeyed = KEYED_BITWISE_OPERATIONS.has(step.operation);
+        const { error } = details;
+
+        return (
+          <>
+            <div className="field-group compact">
+              <label htmlFor={`operation-${step.id}`}>{t.labels.operation}</label>
+              <select
+                id={`operation-${step.id}`}
+                className="control"
+                value={step.operation}
+                onChange={(event) => updateStep(step.id, { operation: event.target.value })}
+              >
+                {BITWISE_OPERATIONS.map((operation) => (
+                  <option key={operation} value={operation}>
+                    {t.bitwiseOperations[operation]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {isKeyed ? renderBytesField(step, "key", "keyFormat", t.labels.key) : null}
+            {step.operation === "shl" || step.operation === "shr" ? (
+              <div className="field-group compact">
+                <div className="label-row">
+                  <label htmlFor={`shift-bits-${step.id}`}>{t.labels.shiftBits}</label>
+                  <span className="mono">{step.shift}</span>
+                </div>
+                <input
+                  id={`shift-bits-${step.id}`}
+                  type="range"
+                  min="1"
+                  max="7"
+                  value={step.shift}
+                  onChange={(event) => updateStep(step.id, { shift: Number(event.target.value) })}
+                />
+              </div>
+            ) : null}
+            {error ? <p className="field-error">{t.errors[error]}</p> : null}
+          </>
+        );
+      }
+
+      case "rot13": {
+        const size = resolveAlphabet(step)?.letters.length;
+
+        return (
+          <>
+            {renderAlphabetControl(step)}
+            {size % 2 ? (
+              <p className="field-note">
+                ROT-{Math.floor(size / 2)} ({t.labels.notSelfInverse}): {t.messages.rotNotSelfInverse}
+              </p>
+            ) : null}
+          </>
+        );
+      }
+
+      case "a1z26":
+        return renderAlphabetControl(step);
+
+      case "vigenere":
+        return (
+          <>
+            {renderAlphabetControl(step)}
+            {step.mode === "analyze" ? (
+              <div className="field-group compact">
+                <span>{t.labels.candidates}</span>
+                {renderVigenereAnalysis(step, details)}
+              </div>
+            ) : (
+              <div className="field-group compact">
+                <label htmlFor={`key-${step.id}`}>{t.labels.key}</label>
+                <input
+                  id={`key-${step.id}`}
+                  className="control mono"
+                  type="text"
+                  value={step.key}
+                  placeholder={t.placeholders.key}
+                  onChange={(event) => updateStep(step.id, { key: event.target.value })}
+                />
+              </div>
+            )}
             <div className="field-group compact">
               <label className="switch">
                 <input
@@ -870,6 +2763,249 @@ export default function App() {
           </>
         );
 
+      case "affine": {
+        const size = resolveAlphabet(step)?.letters.length;
+        const multipliers = size ? affineMultipliers(size) : [];
+        const inverse = size ? modularInverse(step.multiplier, size) : null;
+
+        return (
+          <>
+            {renderAlphabetControl(step)}
+            <div className="field-group compact">
+              <label className="switch">
+                <input
+                  type="checkbox"
+                  checked={Boolean(step.crack)}
+                  onChange={(event) => updateStep(step.id, { crack: event.target.checked, selection: null })}
+                />
+                <span>{t.labels.crack}</span>
+              </label>
+            </div>
+            {step.crack ? (
+              <div className="field-group compact">
+                <span>{t.labels.candidates}</span>
+                {renderAffineCandidates(step, details)}
+              </div>
+            ) : size ? (
+              <>
+                <div className="field-group compact">
+                  <div className="label-row">
+                    <span>{t.labels.multiplier}</span>
+                    <span className="mono">
+                      {inverse === null ? "—" : `${t.labels.inverse} = ${inverse}`}
+                    </span>
+                  </div>
+                  <div className="multiplier-grid mono">
+                    {Array.from({ length: size - 1 }, (_, index) => index + 1).map((value) => (
+                      <button
+                        key={value}
+                        className={`multiplier-chip ${value === step.multiplier ? "is-selected" : ""}`}
+                        type="button"
+                        aria-pressed={value === step.multiplier}
+                        disabled={!multipliers.includes(value)}
+                        onClick={() => updateStep(step.id, { multiplier: value })}
+                      >
+                        {value}
+                      </button>
+                    ))}
+                  </div>
+                  {inverse === null ? (
+                    <p className="field-error">
+                      {t.errors.invalidMultiplier}
+                      <span className="mono"> {multipliers.join(", ")}</span>
+                    </p>
+                  ) : null}
+                </div>
+                <div className="field-group compact">
+                  <div className="label-row">
+                    <label htmlFor={`offset-${step.id}`}>{t.labels.offset}</label>
+                    <span className="mono">{step.offset % size}</span>
+                  </div>
+                  <input
+                    id={`offset-${step.id}`}
+                    className="control mono"
+                    type="number"
+                    min="0"
+                    max={String(size - 1)}
+                    value={step.offset}
+                    onChange={(event) => updateStep(step.id, { offset: clampShift(event.target.value) })}
+                  />
+                </div>
+              </>
+            ) : null}
+            <div className="field-group compact">
+              <label className="switch">
+                <input
+                  type="checkbox"
+                  checked={Boolean(step.preserveCase)}
+                  onChange={(event) => updateStep(step.id, { preserveCase: event.target.checked })}
+                />
+                <span>{t.labels.preserveCase}</span>
+              </label>
+            </div>
+          </>
+        );
+      }
+
+      case "substitution": {
+        const alphabet = resolveAlphabet(step);
+        const isSolving = step.mode === "decode" && step.solver;
+        const keyResult = alphabet && !isSolving ? resolveSubstitutionKey(step, alphabet) : null;
+
+        return (
+          <>
+            {renderAlphabetControl(step)}
+            {step.mode === "decode" ? (
+              <div className="field-group compact">
+                <label className="switch">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(step.solver)}
+                    onChange={(event) => updateStep(step.id, { solver: event.target.checked })}
+                  />
+                  <span>{t.labels.solver}</span>
+                </label>
+              </div>
+            ) : null}
+            {isSolving ? (
+              renderSubstitutionSolver(step, details)
+            ) : (
+              <>
+                <div className="field-group compact">
+                  <label htmlFor={`key-mode-${step.id}`}>{t.labels.keyMode}</label>
+                  <select
+                    id={`key-mode-${step.id}`}
+                    className="control"
+                    value={step.keyMode}
+                    onChange={(event) => updateStep(step.id, { keyMode: event.target.value })}
+                  >
+                    {SUBSTITUTION_KEY_MODES.map((keyMode) => (
+                      <option key={keyMode} value={keyMode}>
+                        {t.keyModes[keyMode]}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="field-group compact">
+                  <label htmlFor={`${step.keyMode}-${step.id}`}>{t.labels[step.keyMode]}</label>
+                  <input
+                    id={`${step.keyMode}-${step.id}`}
+                    className="control mono"
+                    type="text"
+                    spellCheck={false}
+                    value={step[step.keyMode]}
+                    placeholder={t.placeholders[step.keyMode]}
+                    onChange={(event) => updateStep(step.id, { [step.keyMode]: event.target.value })}
+                  />
+                </div>
+                {keyResult?.key ? (
+                  <p className="field-note mono">
+                    {alphabet.letters.join("")} →{" "}
+                    {keyResult.key.map((index) => alphabet.letters[index]).join("")}
+                  </p>
+                ) : null}
+                {keyResult?.error ? (
+                  <p className="field-error">
+                    {t.errors[keyResult.error]}
+                    <span className="mono">
+                      {" "}
+                      {keyResult.duplicates
+                        ? keyResult.duplicates.join(" ")
+                        : `${keyResult.count}/${keyResult.size}`}
+                    </span>
+                  </p>
+                ) : null}
+              </>
+            )}
+            <div className="field-group compact">
+              <label className="switch">
+                <input
+                  type="checkbox"
+                  checked={Boolean(step.preserveCase)}
+                  onChange={(event) => updateStep(step.id, { preserveCase: event.target.checked })}
+                />
+                <span>{t.labels.preserveCase}</span>
+              </label>
+            </div>
+          </>
+        );
+      }
+
+      case "bacon": {
+        const { error, missing } = details;
+
+        return (
+          <>
+            <div className="field-group compact">
+              <label htmlFor={`variant-${step.id}`}>{t.labels.variant}</label>
+              <select
+                id={`variant-${step.id}`}
+                className="control"
+                value={step.variant}
+                onChange={(event) => updateStep(step.id, { variant: event.target.value })}
+              >
+                {Object.keys(BACON_ALPHABETS).map((variant) => (
+                  <option key={variant} value={variant}>
+                    {t.baconVariants[variant]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="field-group compact">
+              <label htmlFor={`hiding-${step.id}`}>{t.labels.hiding}</label>
+              <select
+                id={`hiding-${step.id}`}
+                className="control"
+                value={step.hiding}
+                onChange={(event) => updateStep(step.id, { hiding: event.target.value })}
+              >
+                {BACON_HIDING.map((hiding) => (
+                  <option key={hiding} value={hiding}>
+                    {t.baconHiding[hiding]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {step.hiding === "none" ? (
+              <div className="field-grid">
+                {["symbolA", "symbolB"].map((field) => (
+                  <div key={field} className="field-group compact">
+                    <label htmlFor={`${field}-${step.id}`}>{t.labels[field]}</label>
+                    <input
+                      id={`${field}-${step.id}`}
+                      className="control mono"
+                      type="text"
+                      value={step[field]}
+                      onChange={(event) => updateStep(step.id, { [field]: event.target.value })}
+                    />
+                  </div>
+                ))}
+              </div>
+            ) : null}
+            {step.hiding !== "none" && step.mode !== "decode" ? (
+              <div className="field-group compact">
+                <label htmlFor={`cover-${step.id}`}>{t.labels.coverText}</label>
+                <textarea
+                  id={`cover-${step.id}`}
+                  className="control"
+                  rows={4}
+                  spellCheck={false}
+                  value={step.coverText}
+                  placeholder={t.placeholders.coverText}
+                  onChange={(event) => updateStep(step.id, { coverText: event.target.value })}
+                />
+              </div>
+            ) : null}
+            {error ? (
+              <p className="field-error">
+                {t.errors[error]}
+                {missing ? <span className="mono"> {missing}</span> : null}
+              </p>
+            ) : null}
+          </>
+        );
+      }
+
       case "rail-fence":
         return (
           <div className="field-group compact">
@@ -896,6 +3032,627 @@ export default function App() {
           </div>
         );
 
+      case "enigma": {
+        const model = ENIGMA_MODELS[step.model] ?? ENIGMA_MODELS.I;
+        const { machine, error } = resolveEnigma(step);
+        const slots = [...(model.greek ? [-1] : []), 0, 1, 2];
+
+        return (
+          <>
+            <div className="field-group compact">
+              <label htmlFor={`enigma-model-${step.id}`}>{t.labels.model}</label>
+              <select
+                id={`enigma-model-${step.id}`}
+                className="control"
+                value={step.model}
+                onChange={(event) => updateStep(step.id, switchEnigmaModel(step, event.target.value))}
+              >
+                {Object.keys(ENIGMA_MODELS).map((modelId) => (
+                  <option key={modelId} value={modelId}>
+                    {t.enigma.models[modelId]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="field-group compact">
+              <label htmlFor={`enigma-reflector-${step.id}`}>{t.labels.reflector}</label>
+              <select
+                id={`enigma-reflector-${step.id}`}
+                className="control mono"
+                value={step.reflector}
+                onChange={(event) => updateStep(step.id, { reflector: event.target.value })}
+              >
+                {model.reflectors.map((reflector) => (
+                  <option key={reflector} value={reflector}>
+                    UKW {reflector}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="field-group compact">
+              <div className="rotor-slot rotor-slot-head">
+                <span>{t.labels.rotors}</span>
+                <span>{t.labels.ring}</span>
+                <span>{t.labels.position}</span>
+              </div>
+              {slots.map((slot) => renderEnigmaSlot(step, slot))}
+            </div>
+            <div className="field-group compact">
+              <label htmlFor={`plugboard-${step.id}`}>{t.labels.plugboard}</label>
+              <input
+                id={`plugboard-${step.id}`}
+                className="control mono"
+                type="text"
+                spellCheck={false}
+                value={step.plugboard}
+                placeholder={t.placeholders.plugboard}
+                onChange={(event) => updateStep(step.id, { plugboard: event.target.value })}
+              />
+              {error ? <p className="field-error">{t.errors[error]}</p> : null}
+            </div>
+            {machine && details.positions ? (
+              <p className="field-note">
+                {t.labels.rotorPositions}: <span className="mono">{details.positions.join(" ")}</span>
+              </p>
+            ) : null}
+          </>
+        );
+      }
+
+      case "morse": {
+        const symbolsError = getMorseSymbolsError(step);
+        const { codes = [], unknown = [] } = details;
+        const isPlaying = playingStepId === step.id;
+        const symbolFields = [
+          ["dot", t.labels.dot],
+          ["dash", t.labels.dash],
+          ["letterSeparator", t.labels.letterSeparator],
+          ["wordSeparator", t.labels.wordSeparator]
+        ];
+
+        return (
+          <>
+            <div className="field-group compact">
+              <label htmlFor={`morse-table-${step.id}`}>{t.labels.morseTable}</label>
+              <select
+                id={`morse-table-${step.id}`}
+                className="control"
+                value={step.table}
+                onChange={(event) => updateStep(step.id, { table: event.target.value })}
+              >
+                <option value="latin">{t.morseTables.latin}</option>
+                <option value="cyrillic">{t.morseTables.cyrillic}</option>
+              </select>
+            </div>
+            <div className="field-grid">
+              {symbolFields.map(([field, label]) => (
+                <div key={field} className="field-group compact">
+                  <label htmlFor={`morse-${field}-${step.id}`}>{label}</label>
+                  <input
+                    id={`morse-${field}-${step.id}`}
+                    className="control mono"
+                    type="text"
+                    spellCheck={false}
+                    value={step[field]}
+                    onChange={(event) => updateStep(step.id, { [field]: event.target.value })}
+                  />
+                </div>
+              ))}
+            </div>
+            {symbolsError ? <p className="field-error">{t.errors[symbolsError]}</p> : null}
+            {unknown.length ? (
+              <p className="field-error">
+                {t.labels.unknown}: <span className="mono">{unknown.join(" ")}</span>
+              </p>
+            ) : null}
+            <div className="field-grid">
+              <div className="field-group compact">
+                <label htmlFor={`morse-wpm-${step.id}`}>{t.labels.wpm}</label>
+                <input
+                  id={`morse-wpm-${step.id}`}
+                  className="control mono"
+                  type="number"
+                  min={String(MIN_WPM)}
+                  max={String(MAX_WPM)}
+                  value={step.wpm}
+                  onChange={(event) => {
+                    const wpm = clampWpm(event.target.value);
+                    updateStep(step.id, { wpm, farnsworth: Math.min(step.farnsworth, wpm) });
+                  }}
+                />
+              </div>
+              <div className="field-group compact">
+                <label htmlFor={`morse-farnsworth-${step.id}`}>{t.labels.farnsworth}</label>
+                <input
+                  id={`morse-farnsworth-${step.id}`}
+                  className="control mono"
+                  type="number"
+                  min={String(MIN_WPM)}
+                  max={String(step.wpm)}
+                  value={step.farnsworth}
+                  onChange={(event) =>
+                    updateStep(step.id, { farnsworth: clampWpm(event.target.value, step.wpm) })
+                  }
+                />
+              </div>
+            </div>
+            <div className="field-group compact">
+              <button
+                className="btn btn-soft"
+                type="button"
+                disabled={!isPlaying && !codes.some((word) => word.length)}
+                onClick={() =>
+                  isPlaying
+                    ? stopMorse()
+                    : playMorse(step.id, morseTimeline(codes, step.wpm, step.farnsworth))
+                }
+              >
+                {isPlaying ? t.buttons.stop : t.buttons.play}
+              </button>
+            </div>
+          </>
+        );
+      }
+
+      case "base64":
+      case "base32":
+      case "ascii85": {
+        const variants = {
+          base64: Object.keys(BASE64_ALPHABETS),
+          base32: Object.keys(BASE32_ALPHABETS),
+          ascii85: Object.keys(ASCII85_ALPHABETS)
+        }[step.type];
+        const option = BASE_ENCODINGS[step.type].option;
+        const hasOption =
+          step.mode !== "decode" && step.variant !== "crockford" && step.variant !== "z85";
+        const { error } = details;
+
+        return (
+          <>
+            <div className="field-group compact">
+              <label htmlFor={`variant-${step.id}`}>{t.labels.variant}</label>
+              <select
+                id={`variant-${step.id}`}
+                className="control"
+                value={step.variant}
+                onChange={(event) => updateStep(step.id, { variant: event.target.value })}
+              >
+                {variants.map((variant) => (
+                  <option key={variant} value={variant}>
+                    {t.encodingVariants[variant]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {hasOption ? (
+              <div className="field-group compact">
+                <label className="switch">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(step[option])}
+                    onChange={(event) => updateStep(step.id, { [option]: event.target.checked })}
+                  />
+                  <span>{t.labels[option]}</span>
+                </label>
+              </div>
+            ) : null}
+            {error ? <p className="field-error">{t.errors[error]}</p> : null}
+          </>
+        );
+      }
+
+      case "hash":
+        return (
+          <>
+            <div className="field-group compact">
+              <label htmlFor={`algorithm-${step.id}`}>{t.labels.algorithm}</label>
+              <select
+                id={`algorithm-${step.id}`}
+                className="control"
+                value={step.algorithm}
+                onChange={(event) => updateStep(step.id, { algorithm: event.target.value })}
+              >
+                {Object.keys(HASH_ALGORITHMS).map((algorithm) => (
+                  <option key={algorithm} value={algorithm}>
+                    {HASH_NAMES[algorithm]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="field-group compact">
+              <label htmlFor={`format-${step.id}`}>{t.labels.outputFormat}</label>
+              <select
+                id={`format-${step.id}`}
+                className="control"
+                value={step.format}
+                onChange={(event) => updateStep(step.id, { format: event.target.value })}
+              >
+                {HASH_FORMATS.map((format) => (
+                  <option key={format} value={format}>
+                    {t.hashFormats[format]}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </>
+        );
+
+      case "hmac": {
+        const { error, verified } = details;
+
+        return (
+          <>
+            <div className="field-group compact">
+              <label htmlFor={`algorithm-${step.id}`}>{t.labels.algorithm}</label>
+              <select
+                id={`algorithm-${step.id}`}
+                className="control"
+                value={step.algorithm}
+                onChange={(event) => updateStep(step.id, { algorithm: event.target.value })}
+              >
+                {Object.keys(HMAC_BLOCK_SIZES).map((algorithm) => (
+                  <option key={algorithm} value={algorithm}>
+                    {HASH_NAMES[algorithm]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {renderBytesField(step, "key", "keyFormat", t.labels.key)}
+            <div className="field-group compact">
+              <label htmlFor={`format-${step.id}`}>{t.labels.outputFormat}</label>
+              <select
+                id={`format-${step.id}`}
+                className="control"
+                value={step.format}
+                onChange={(event) => updateStep(step.id, { format: event.target.value })}
+              >
+                {HASH_FORMATS.map((format) => (
+                  <option key={format} value={format}>
+                    {t.hashFormats[format]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="field-group compact">
+              <label htmlFor={`expected-${step.id}`}>{t.labels.expectedMac}</label>
+              <input
+                id={`expected-${step.id}`}
+                className="control mono"
+                type="text"
+                value={step.expected}
+                placeholder={t.placeholders.expectedMac}
+                onChange={(event) => updateStep(step.id, { expected: event.target.value })}
+              />
+            </div>
+            {error ? <p className="field-error">{t.errors[error]}</p> : null}
+            {verified === null || verified === undefined ? null : (
+              <p className={`verify-status ${verified ? "is-match" : "is-mismatch"}`}>
+                {verified ? t.messages.macMatch : t.messages.macMismatch}
+              </p>
+            )}
+          </>
+        );
+      }
+
+      case "block": {
+        const { tag, error, verified } = details;
+
+        return (
+          <>
+            <div className="field-grid">
+              <div className="field-group compact">
+                <label htmlFor={`key-size-${step.id}`}>{t.labels.keySize}</label>
+                <select
+                  id={`key-size-${step.id}`}
+                  className="control"
+                  value={step.keySize}
+                  onChange={(event) => updateStep(step.id, { keySize: Number(event.target.value) })}
+                >
+                  {AES_KEY_SIZES.map((size) => (
+                    <option key={size} value={size}>
+                      AES-{size}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="field-group compact">
+                <label htmlFor={`block-mode-${step.id}`}>{t.labels.blockMode}</label>
+                <select
+                  id={`block-mode-${step.id}`}
+                  className="control"
+                  value={step.blockMode}
+                  onChange={(event) => updateStep(step.id, { blockMode: event.target.value })}
+                >
+                  {AES_BLOCK_MODES.map((blockMode) => (
+                    <option key={blockMode} value={blockMode}>
+                      {blockMode.toUpperCase()}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            {renderBytesField(step, "key", "keyFormat", t.labels.key)}
+            {step.blockMode === "ecb" ? null : renderBytesField(step, "iv", "ivFormat", t.labels.iv)}
+            {step.blockMode === "ecb" || step.blockMode === "cbc" ? (
+              <div className="field-group compact">
+                <label className="switch">
+                  <input
+                    type="checkbox"
+                    checked={step.padding}
+                    onChange={(event) => updateStep(step.id, { padding: event.target.checked })}
+                  />
+                  <span>{t.labels.pkcs7}</span>
+                </label>
+              </div>
+            ) : null}
+            {step.blockMode === "gcm" ? (
+              <div className="field-group compact">
+                <label htmlFor={`aad-${step.id}`}>{t.labels.aad}</label>
+                <input
+                  id={`aad-${step.id}`}
+                  className="control mono"
+                  type="text"
+                  value={step.aad}
+                  onChange={(event) => updateStep(step.id, { aad: event.target.value })}
+                />
+              </div>
+            ) : null}
+            {step.blockMode === "gcm" && step.mode === "decode" ? (
+              <div className="field-group compact">
+                <label htmlFor={`tag-${step.id}`}>{t.labels.authTag}</label>
+                <input
+                  id={`tag-${step.id}`}
+                  className="control mono"
+                  type="text"
+                  value={step.tag}
+                  placeholder={t.placeholders.authTag}
+                  onChange={(event) => updateStep(step.id, { tag: event.target.value })}
+                />
+              </div>
+            ) : null}
+            {tag ? (
+              <p className="field-note mono">
+                {t.labels.authTag}: {formatHex(tag)}
+              </p>
+            ) : null}
+            {error ? <p className="field-error">{t.errors[error]}</p> : null}
+            {verified ? <p className="verify-status is-match">{t.messages.tagVerified}</p> : null}
+          </>
+        );
+      }
+
+      case "rc4": {
+        const { error } = details;
+
+        return (
+          <>
+            {renderBytesField(step, "key", "keyFormat", t.labels.key)}
+            <div className="field-grid">
+              <div className="field-group compact">
+                <label htmlFor={`drop-${step.id}`}>{t.labels.drop}</label>
+                <input
+                  id={`drop-${step.id}`}
+                  className="control mono"
+                  type="number"
+                  min="0"
+                  max={String(MAX_RC4_DROP)}
+                  value={step.drop}
+                  onChange={(event) => updateStep(step.id, { drop: clampDrop(event.target.value) })}
+                />
+              </div>
+              <div className="field-group compact">
+                <label htmlFor={`format-${step.id}`}>{t.labels.cipherFormat}</label>
+                <select
+                  id={`format-${step.id}`}
+                  className="control"
+                  value={step.format}
+                  onChange={(event) => updateStep(step.id, { format: event.target.value })}
+                >
+                  {RC4_FORMATS.map((format) => (
+                    <option key={format} value={format}>
+                      {t.hashFormats[format]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            {error ? <p className="field-error">{t.errors[error]}</p> : null}
+          </>
+        );
+      }
+
+      case "spelling": {
+        const { unknown = [], parts = [] } = details;
+
+        return (
+          <>
+            <div className="field-group compact">
+              <label htmlFor={`spelling-system-${step.id}`}>{t.labels.spellingSystem}</label>
+              <select
+                id={`spelling-system-${step.id}`}
+                className="control"
+                value={step.system}
+                onChange={(event) => updateStep(step.id, { system: event.target.value })}
+              >
+                {SPELLING_SYSTEMS.map((system) => (
+                  <option key={system} value={system}>
+                    {t.spellingSystems[system]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {unknown.length && step.mode !== "decode" ? (
+              <p className="field-error">
+                {t.labels.unknown}: <span className="mono">{unknown.join(" ")}</span>
+              </p>
+            ) : null}
+            {unknown.length && step.mode === "decode" ? (
+              <div className="field-group compact">
+                <span>
+                  {t.labels.unknownWords}: {unknown.length}
+                </span>
+                <p className="solver-preview mono">
+                  {parts.map((part, partIndex) =>
+                    part.known ? (
+                      part.raw
+                    ) : (
+                      <mark key={partIndex} className="spelling-unknown">
+                        {part.raw}
+                      </mark>
+                    )
+                  )}
+                </p>
+              </div>
+            ) : null}
+          </>
+        );
+      }
+
+      case "baudot": {
+        const { unknown = [], ambiguous = [], error } = details;
+
+        return (
+          <>
+            <div className="field-grid">
+              <div className="field-group compact">
+                <label htmlFor={`variant-${step.id}`}>{t.labels.variant}</label>
+                <select
+                  id={`variant-${step.id}`}
+                  className="control"
+                  value={step.variant}
+                  onChange={(event) => updateStep(step.id, { variant: event.target.value })}
+                >
+                  {Object.keys(BAUDOT_VARIANTS).map((variant) => (
+                    <option key={variant} value={variant}>
+                      {t.baudotVariants[variant]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {step.mode === "decode" ? null : (
+                <div className="field-group compact">
+                  <label htmlFor={`format-${step.id}`}>{t.labels.outputFormat}</label>
+                  <select
+                    id={`format-${step.id}`}
+                    className="control"
+                    value={step.format}
+                    onChange={(event) => updateStep(step.id, { format: event.target.value })}
+                  >
+                    {BAUDOT_FORMATS.map((format) => (
+                      <option key={format} value={format}>
+                        {t.baudotFormats[format]}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+            {unknown.length ? (
+              <p className="field-error">
+                {t.labels.unknown}: <span className="mono">{unknown.join(" ")}</span>
+              </p>
+            ) : null}
+            {ambiguous.length ? (
+              <p className="field-note">
+                {t.labels.ambiguous}: <span className="mono">{ambiguous.join(" ")}</span>
+              </p>
+            ) : null}
+            {error ? <p className="field-error">{t.errors[error]}</p> : null}
+          </>
+        );
+      }
+
+      case "unicode": {
+        const { error } = details;
+
+        return step.mode === "decode" ? (
+          <>
+            <p className="field-note mono">{t.messages.unicodeDecodeHint}</p>
+            {error ? <p className="field-error">{t.errors[error]}</p> : null}
+          </>
+        ) : (
+          <div className="field-group compact">
+            <label htmlFor={`notation-${step.id}`}>{t.labels.notation}</label>
+            <select
+              id={`notation-${step.id}`}
+              className="control"
+              value={step.notation}
+              onChange={(event) => updateStep(step.id, { notation: event.target.value })}
+            >
+              {UNICODE_NOTATIONS.map((notation) => (
+                <option key={notation} value={notation}>
+                  {t.unicodeNotations[notation]}
+                </option>
+              ))}
+            </select>
+          </div>
+        );
+      }
+
+      case "url-encoding": {
+        const { error } = details;
+
+        return (
+          <>
+            <div className="field-group compact">
+              <label htmlFor={`variant-${step.id}`}>{t.labels.variant}</label>
+              <select
+                id={`variant-${step.id}`}
+                className="control"
+                value={step.variant}
+                onChange={(event) => updateStep(step.id, { variant: event.target.value })}
+              >
+                {URL_VARIANTS.map((variant) => (
+                  <option key={variant} value={variant}>
+                    {t.urlVariants[variant]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {error ? <p className="field-error">{t.errors[error]}</p> : null}
+          </>
+        );
+      }
+
+      case "punycode": {
+        const { invalid = [] } = details;
+
+        return invalid.length ? (
+          <p className="field-error">
+            {t.errors.invalidDomains}
+            <span className="mono"> {invalid.slice(0, 8).join(" ")}</span>
+          </p>
+        ) : null;
+      }
+
+      case "caesar-crack":
+        return (
+          <>
+            <div className="field-group compact">
+              <label htmlFor={`frequency-language-${step.id}`}>{t.labels.frequencyLanguage}</label>
+              <select
+                id={`frequency-language-${step.id}`}
+                className="control"
+                value={step.language}
+                onChange={(event) =>
+                  updateStep(step.id, { language: event.target.value, selection: null })
+                }
+              >
+                <option value="auto">{t.alphabets.auto}</option>
+                {ALPHABET_IDS.map((alphabetId) => (
+                  <option key={alphabetId} value={alphabetId}>
+                    {t.alphabets[alphabetId]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="field-group compact">
+              <span>{t.labels.candidates}</span>
+              {renderCaesarCandidates(step, details)}
+            </div>
+          </>
+        );
+
       default:
         return null;
     }
@@ -941,6 +3698,7 @@ export default function App() {
               value={inputText}
               onChange={(event) => {
                 setInputText(event.target.value);
+                setOutputDraft(null);
                 setCopyInputStatus("idle");
                 setCopyOutputStatus("idle");
               }}
@@ -976,17 +3734,62 @@ export default function App() {
 
             <div className="pipeline-hint">{t.pipelineHint}</div>
 
+            {isLargeInput ? (
+              <div className="run-status" role="status">
+                {isComputing ? (
+                  <progress
+                    max={steps.length}
+                    value={pipelineRun.status === "running" ? completedSteps : 0}
+                  />
+                ) : null}
+                <span>
+                  {pipelineRun.status === "running"
+                    ? `${
+                        pipelineRun.phase === "reverse"
+                          ? t.pipelineRun.reverseProgress
+                          : t.pipelineRun.progress
+                      } ${pipelineRun.current + 1} / ${steps.length}`
+                    : t.pipelineRun.messages[pipelineRun.status]}
+                </span>
+                {isComputing ? (
+                  <button className="btn btn-soft" type="button" onClick={cancelRun}>
+                    {t.pipelineRun.cancel}
+                  </button>
+                ) : null}
+              </div>
+            ) : null}
+
             <div className="step-list">
               {steps.map((step, index) => (
                 <div key={step.id}>
-                  <section className="step-card">
+                  <section className={stepCardClass(step, index)} data-step-index={index}>
                     <div className="step-head">
+                      <button
+                        className="drag-handle"
+                        type="button"
+                        aria-label={`${t.labels.reorder}: ${t.stepLabel} ${index + 1}`}
+                        title={t.labels.reorder}
+                        {...dragHandleProps(step, index)}
+                      >
+                        ⠿
+                      </button>
                       <strong>
                         {t.stepLabel} {index + 1}: {operationLabel(step.type)}
                       </strong>
-                      <span className="count-tag mono">
-                        {countText(stageOutputs[index]?.length ?? 0, t.units.chars)}
-                      </span>
+                      {step.keyRequired || invertStep(step) ? null : (
+                        <span className="step-badge" title={t.messages.oneWayHint}>
+                          {t.labels.oneWay}
+                        </span>
+                      )}
+                      {stepProgress(index) ? (
+                        <span className={`step-progress is-${stepProgress(index)}`}>
+                          {t.pipelineRun[stepProgress(index)]}
+                        </span>
+                      ) : (
+                        <span className="count-tag mono">
+                          {stageFor(step) ? sizeText(stageFor(step).value) : null}
+                        </span>
+                      )}
                     </div>
 
                     {hasMode(step.type) ? (
@@ -1002,11 +3805,20 @@ export default function App() {
                         >
                           <option value="encode">{t.modes.encode}</option>
                           <option value="decode">{t.modes.decode}</option>
+                          {hasAnalysis(step.type) ? (
+                            <option value="analyze">{t.modes.analyze}</option>
+                          ) : null}
                         </select>
                       </div>
                     ) : null}
 
-                    {renderStepControls(step)}
+                    {step.keyRequired ? (
+                      <p className="field-error">{t.errors.keyRequired}</p>
+                    ) : null}
+
+                    {renderStepControls(step, stageFor(step)?.details ?? {})}
+
+                    {renderStepPreview(step, stageInput(index), stageOutput(step))}
 
                     <div className="step-actions">
                       <button
@@ -1032,8 +3844,31 @@ export default function App() {
                       >
                         {t.buttons.remove}
                       </button>
+                      <button className="btn btn-soft" type="button" onClick={() => duplicateStep(step.id)}>
+                        {t.buttons.duplicate}
+                      </button>
+                      <button
+                        className="btn btn-soft"
+                        type="button"
+                        aria-pressed={step.disabled}
+                        onClick={() => updateStep(step.id, { disabled: !step.disabled })}
+                      >
+                        {step.disabled ? t.buttons.enable : t.buttons.bypass}
+                      </button>
                     </div>
                   </section>
+                  {index < steps.length - 1 ? (
+                    <div className="insert-slot step-insert-slot">
+                      <button
+                        className="insert-btn"
+                        type="button"
+                        aria-label={`${t.library.title}: ${index + 2}`}
+                        onClick={() => openLibraryAt(index + 1)}
+                      >
+                        +
+                      </button>
+                    </div>
+                  ) : null}
                 </div>
               ))}
             </div>
@@ -1062,26 +3897,150 @@ export default function App() {
           <article className="panel output-panel">
             <div className="panel-head">
               <h2>{t.labels.output}</h2>
-              <span className="count-tag">{countText(outputText.length, t.units.chars)}</span>
+              <span className="count-tag">{sizeText(outputValue)}</span>
             </div>
             <textarea
-              className="text-zone"
-              readOnly
-              value={outputText}
+              className={`text-zone ${isStale ? "is-stale" : ""} ${missingKeySteps.length ? "is-incomplete" : ""}`}
+              spellCheck={false}
+              value={outputDraft ?? outputText}
+              aria-busy={isComputing}
               placeholder={t.placeholders.output}
+              onChange={(event) => {
+                if (outputDraft === null) setDraftAsHex(isHexDisplay(outputValue));
+                setOutputDraft(event.target.value);
+                setCopyInputStatus("idle");
+                setCopyOutputStatus("idle");
+              }}
             />
+            {isStale ? <p className="field-note">{t.pipelineRun.stale}</p> : null}
+            {missingKeySteps.length ? (
+              <p className="field-error">
+                {t.messages.outputKeyRequired} {stepListText(missingKeySteps)}
+              </p>
+            ) : null}
+            {reverseResult?.blocked.length ? (
+              <p className="field-error">
+                {t.messages.reverseBlocked} {stepListText(reverseResult.blocked)}
+              </p>
+            ) : null}
+            {reverseResult?.failed.length ? (
+              <p className="field-error">
+                {t.messages.reverseFailed} {stepListText(reverseResult.failed)}
+              </p>
+            ) : null}
+            {reverseResult?.error ? (
+              <p className="field-error">{t.messages[reverseResult.error]}</p>
+            ) : null}
+            {reverseResult?.text != null ? <p className="field-note">{t.messages.reverseActive}</p> : null}
             <div className="output-actions">
               <button
                 className="btn btn-primary"
                 type="button"
-                onClick={() => copyText(outputText, setCopyOutputStatus)}
+                onClick={() => copyText(outputDraft ?? outputText, setCopyOutputStatus)}
               >
                 {t.buttons.copy}
               </button>
               <span className="status">{t.status[copyOutputStatus]}</span>
             </div>
+            <div className="share-actions">
+              <button className="btn btn-soft" type="button" onClick={sharePipeline}>
+                {t.buttons.shareLink}
+              </button>
+              <label className="switch">
+                <input
+                  type="checkbox"
+                  checked={shareInput}
+                  onChange={(event) => setShareInput(event.target.checked)}
+                />
+                <span>{t.labels.shareInput}</span>
+              </label>
+              <label className="switch">
+                <input
+                  type="checkbox"
+                  checked={shareSecrets}
+                  onChange={(event) => setShareSecrets(event.target.checked)}
+                />
+                <span>{t.labels.shareSecrets}</span>
+              </label>
+              <span className="status">{t.status[shareStatus]}</span>
+            </div>
           </article>
         </section>
+
+        <section className="panel recipes-panel">
+          <div className="panel-head">
+            <h2>{t.recipes.title}</h2>
+            <span className="count-tag">{recipes.length}</span>
+          </div>
+
+          <div className="recipe-form">
+            <input
+              className="control"
+              type="text"
+              placeholder={t.recipes.namePlaceholder}
+              value={recipeName}
+              onChange={(event) => setRecipeName(event.target.value)}
+            />
+            <label className="switch">
+              <input
+                type="checkbox"
+                checked={recipeInput}
+                onChange={(event) => setRecipeInput(event.target.checked)}
+              />
+              <span>{t.recipes.includeInput}</span>
+            </label>
+            <button className="btn btn-primary" type="button" onClick={saveRecipe}>
+              {t.recipes.save}
+            </button>
+          </div>
+
+          {recipes.length ? (
+            <ul className="recipe-list">
+              {recipes.map((recipe) => (
+                <li key={recipe.id} className="recipe-row">
+                  <input
+                    className="control"
+                    type="text"
+                    aria-label={t.recipes.rename}
+                    value={recipe.name}
+                    onChange={(event) => renameRecipe(recipe.id, event.target.value)}
+                  />
+                  <span className="count-tag">{countText(recipe.steps.length, t.units.steps)}</span>
+                  <button className="btn btn-soft" type="button" onClick={() => loadRecipe(recipe)}>
+                    {t.recipes.load}
+                  </button>
+                  <button className="btn btn-danger" type="button" onClick={() => deleteRecipe(recipe.id)}>
+                    {t.recipes.remove}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="field-note">{t.recipes.empty}</p>
+          )}
+
+          <div className="recipe-actions">
+            <button className="btn btn-soft" type="button" onClick={exportRecipes} disabled={!recipes.length}>
+              {t.recipes.export}
+            </button>
+            <button className="btn btn-soft" type="button" onClick={() => importRef.current?.click()}>
+              {t.recipes.import}
+            </button>
+            <input
+              ref={importRef}
+              className="visually-hidden"
+              type="file"
+              accept="application/json,.json"
+              onChange={importRecipes}
+            />
+            {recipeStatus ? (
+              <span className={recipeStatus.isError ? "field-error" : "status"}>
+                {t.recipes.messages[recipeStatus.key]}
+                {recipeStatus.detail ? ` ${recipeStatus.detail}` : ""}
+              </span>
+            ) : null}
+          </div>
+        </section>
       </main>
 
       {isLibraryOpen ? (
@@ -0,0 +1,3365 @@
+export const MAX_SHIFT = 100;
+export const MIN_RAILS = 2;
+export const MAX_RAILS = 10;
+const CRACK_PREVIEW_LENGTH = 48;
+const MAX_KEY_LENGTH = 20;
+const KASISKI_SEQUENCE_LENGTH = 3;
+const IOC_SMOOTHING = 10;
+export const MIN_WPM = 5;
+export const MAX_WPM = 40;
+export const MORSE_TONE_HZ = 600;
+export const MORSE_VOLUME = 0.3;
+export const MORSE_RAMP = 0.005;
+export const MAX_ANALYSIS_CANDIDATES = 8;
+export const MAX_RC4_DROP = 65536;
+export const STEP_PREVIEW_LENGTH = 1500;
+const SOLVER_PREVIEW_LENGTH = 600;
+
+export const ENABLED_OPERATIONS = new Set([
+  "caesar",
+  "reverse",
+  "replace",
+  "case-transform",
+  "numeral-system",
+  "bitwise",
+  "rot13",
+  "a1z26",
+  "vigenere",
+  "affine",
+  "substitution",
+  "bacon",
+  "rail-fence",
+  "caesar-crack",
+  "enigma",
+  "morse",
+  "base64",
+  "base32",
+  "ascii85",
+  "hash",
+  "hmac",
+  "block",
+  "rc4",
+  "baudot",
+  "unicode",
+  "url-encoding",
+  "punycode",
+  "spelling"
+]);
+
+export const MODE_OPERATIONS = new Set([
+  "caesar",
+  "a1z26",
+  "vigenere",
+  "affine",
+  "substitution",
+  "bacon",
+  "rail-fence",
+  "numeral-system",
+  "morse",
+  "base64",
+  "base32",
+  "ascii85",
+  "block",
+  "rc4",
+  "baudot",
+  "unicode",
+  "url-encoding",
+  "punycode",
+  "spelling"
+]);
+
+export const ANALYSIS_OPERATIONS = new Set(["vigenere"]);
+
+export const clampShift = (value) => {
+  const asNumber = Number(value);
+  if (Number.isNaN(asNumber)) return 0;
+  return Math.min(MAX_SHIFT, Math.max(0, asNumber));
+};
+
+export const clampWpm = (value, max = MAX_WPM) => {
+  const asNumber = Number(value);
+  if (Number.isNaN(asNumber)) return Math.min(20, max);
+  return Math.min(max, Math.max(MIN_WPM, Math.round(asNumber)));
+};
+
+export const clampDrop = (value) => {
+  const asNumber = Math.round(Number(value));
+  if (Number.isNaN(asNumber)) return 0;
+  return Math.min(MAX_RC4_DROP, Math.max(0, asNumber));
+};
+
+export const clampRails = (value) => {
+  const asNumber = Number(value);
+  if (Number.isNaN(asNumber)) return 3;
+  return Math.min(MAX_RAILS, Math.max(MIN_RAILS, asNumber));
+};
+
+export const replaceAt = (items, index, value) =>
+  items.map((item, itemIndex) => (itemIndex === index ? value : item));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const APOSTROPHE_PATTERN = /['`‘’ʼ]/g;
+
+const ALPHABET_LETTERS = {
+  en: "abcdefghijklmnopqrstuvwxyz".split(""),
+  ru: "абвгдеёжзийклмнопрстуфхцчшщъыьэюя".split(""),
+  uz: [..."abdefghijklmnopqrstuvxyz".split(""), "oʻ", "gʻ", "sh", "ch"]
+};
+
+export const ALPHABET_IDS = Object.keys(ALPHABET_LETTERS);
+export const CUSTOM_ALPHABET = "custom";
+const MIN_ALPHABET_SIZE = 2;
+const DEFAULT_CUSTOM_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+
+const normalizeLetter = (value) => value.toLowerCase().replace(APOSTROPHE_PATTERN, "ʻ");
+
+const buildAlphabet = (letters, { normalize = normalizeLetter, caseSensitive = false } = {}) => ({
+  letters,
+  normalize,
+  caseSensitive,
+  lookup: new Map(letters.map((letter, index) => [normalize(letter), index])),
+  maxLength: Math.max(...letters.map((letter) => Array.from(letter).length))
+});
+
+export const ALPHABETS = Object.fromEntries(
+  ALPHABET_IDS.map((alphabetId) => [alphabetId, buildAlphabet(ALPHABET_LETTERS[alphabetId])])
+);
+
+export const parseCustomAlphabet = (source) => {
+  const chars = Array.from(source ?? "");
+  const caseSensitive = chars.some(
+    (char) => char !== char.toLowerCase() && chars.includes(char.toLowerCase())
+  );
+  const letters = caseSensitive ? chars : chars.map((char) => char.toLowerCase());
+  const duplicates = [...new Set(letters.filter((letter, index) => letters.indexOf(letter) !== index))];
+
+  if (duplicates.length) return { error: "duplicateLetters", duplicates };
+  if (letters.length < MIN_ALPHABET_SIZE) return { error: "alphabetTooShort" };
+  return {
+    alphabet: buildAlphabet(letters, {
+      normalize: caseSensitive ? String : (value) => value.toLowerCase(),
+      caseSensitive
+    })
+  };
+};
+
+export const resolveAlphabet = (step) => {
+  if (step.alphabet === CUSTOM_ALPHABET) return parseCustomAlphabet(step.customAlphabet).alphabet ?? null;
+  return ALPHABETS[step.alphabet] ?? ALPHABETS.en;
+};
+
+const tokenizeLetters = (text, alphabet) => {
+  const chars = Array.from(text);
+  const tokens = [];
+  let cursor = 0;
+
+  while (cursor < chars.length) {
+    let size = Math.min(alphabet.maxLength, chars.length - cursor);
+    let index = -1;
+    for (; size > 0; size -= 1) {
+      const found = alphabet.lookup.get(alphabet.normalize(chars.slice(cursor, cursor + size).join("")));
+      if (found !== undefined) {
+        index = found;
+        break;
+      }
+    }
+
+    const length = Math.max(size, 1);
+    tokens.push({ raw: chars.slice(cursor, cursor + length).join(""), index });
+    cursor += length;
+  }
+
+  return tokens;
+};
+
+const getLetterCase = (raw) => {
+  const cased = Array.from(raw).filter((char) => char.toLowerCase() !== char.toUpperCase());
+  if (!cased.length || cased[0] === cased[0].toLowerCase()) return "lower";
+  if (cased.length > 1 && cased.every((char) => char === char.toUpperCase())) return "upper";
+  return "title";
+};
+
+const applyLetterCase = (letter, letterCase) => {
+  if (letterCase === "upper") return letter.toUpperCase();
+  if (letterCase === "title") return `${letter.charAt(0).toUpperCase()}${letter.slice(1)}`;
+  return letter;
+};
+
+const substituteLetter = (token, targetIndex, alphabet, preserveCase = true) => {
+  const substituted = alphabet.letters[targetIndex];
+  if (!preserveCase || alphabet.caseSensitive) return substituted;
+
+  return applyLetterCase(substituted, getLetterCase(token.raw));
+};
+
+const shiftLetter = (token, shift, alphabet, preserveCase = true) => {
+  if (token.index < 0) return token.raw;
+
+  const size = alphabet.letters.length;
+  return substituteLetter(token, (((token.index + shift) % size) + size) % size, alphabet, preserveCase);
+};
+
+export const caesarCipher = (text, shift, alphabet, preserveCase = true) =>
+  tokenizeLetters(text, alphabet)
+    .map((token) => shiftLetter(token, shift, alphabet, preserveCase))
+    .join("");
+
+export const LETTER_FREQUENCIES = {
+  en: [
+    8.167, 1.492, 2.782, 4.253, 12.702, 2.228, 2.015, 6.094, 6.966, 0.153, 0.772, 4.025, 2.406,
+    6.749, 7.507, 1.929, 0.095, 5.987, 6.327, 9.056, 2.758, 0.978, 2.36, 0.15, 1.974, 0.074
+  ],
+  ru: [
+    8.01, 1.59, 4.54, 1.7, 2.98, 8.45, 0.04, 0.94, 1.65, 7.35, 1.21, 3.49, 4.4, 3.21, 6.7, 10.97,
+    2.81, 4.73, 5.47, 6.26, 2.62, 0.26, 0.97, 0.48, 1.44, 0.73, 0.36, 0.04, 1.9, 1.74, 0.32, 0.64,
+    2.01
+  ],
+  uz: [
+    12.4, 1.9, 3.0, 3.9, 0.3, 1.1, 1.8, 9.6, 0.9, 2.7, 5.6, 3.4, 5.0, 5.6, 0.8, 1.9, 6.1, 3.5,
+    3.7, 3.2, 1.6, 1.4, 2.8, 1.3, 1.0, 0.6, 2.2, 0.9
+  ]
+};
+
+const countLetters = (text, alphabet) => {
+  const counts = Array(alphabet.letters.length).fill(0);
+  let total = 0;
+  for (const token of tokenizeLetters(text, alphabet)) {
+    if (token.index < 0) continue;
+    counts[token.index] += 1;
+    total += 1;
+  }
+  return { counts, total };
+};
+
+const chiSquared = (counts, total, frequencies, shift, multiplier = 1) => {
+  const size = counts.length;
+  const frequencySum = frequencies.reduce((sum, value) => sum + value, 0);
+  let score = 0;
+  for (let plainIndex = 0; plainIndex < size; plainIndex += 1) {
+    const expected = (total * frequencies[plainIndex]) / frequencySum;
+    const observed = counts[(multiplier * plainIndex + shift) % size];
+    score += ((observed - expected) ** 2) / expected;
+  }
+  return score;
+};
+
+const rankLanguageShifts = (text, languageId) => {
+  const alphabet = ALPHABETS[languageId];
+  if (!alphabet) return [];
+  const { counts, total } = countLetters(text, alphabet);
+  if (!total) return [];
+
+  return counts
+    .map((_, shift) => ({
+      language: languageId,
+      shift,
+      score: chiSquared(counts, total, LETTER_FREQUENCIES[languageId], shift)
+    }))
+    .sort((left, right) => left.score - right.score);
+};
+
+const separation = (candidates) => {
+  const mean = candidates.reduce((sum, candidate) => sum + candidate.score, 0) / candidates.length;
+  return mean ? candidates[0].score / mean : 1;
+};
+
+const rankCaesarShifts = (text, language) => {
+  if (language !== "auto") return rankLanguageShifts(text, language);
+
+  return ALPHABET_IDS.map((languageId) => rankLanguageShifts(text, languageId))
+    .filter((candidates) => candidates.length)
+    .reduce(
+      (best, candidates) => (!best || separation(candidates) < separation(best) ? candidates : best),
+      null
+    ) ?? [];
+};
+
+export const pickCaesarCandidate = (candidates, selection) =>
+  (selection &&
+    candidates.find(
+      (candidate) =>
+        candidate.language === selection.language && candidate.shift === selection.shift
+    )) ||
+  candidates[0] ||
+  null;
+
+const greatestCommonDivisor = (left, right) => (right ? greatestCommonDivisor(right, left % right) : left);
+
+export const modularInverse = (value, modulus) => {
+  for (let candidate = 1; candidate < modulus; candidate += 1) {
+    if ((value * candidate) % modulus === 1) return candidate;
+  }
+  return null;
+};
+
+export const affineMultipliers = (size) =>
+  Array.from({ length: size - 1 }, (_, index) => index + 1).filter(
+    (value) => greatestCommonDivisor(size, value) === 1
+  );
+
+export const affineCipher = (text, multiplier, offset, mode, alphabet, preserveCase = true) => {
+  const size = alphabet.letters.length;
+  const inverse = modularInverse(multiplier, size);
+
+  return tokenizeLetters(text, alphabet)
+    .map((token) => {
+      if (token.index < 0) return token.raw;
+      const target = mode === "decode" ? inverse * (token.index - offset) : multiplier * token.index + offset;
+      return substituteLetter(token, ((target % size) + size) % size, alphabet, preserveCase);
+    })
+    .join("");
+};
+
+const rankAffineKeys = (text, alphabetId) => {
+  const alphabet = ALPHABETS[alphabetId];
+  if (!alphabet) return null;
+  const { counts, total } = countLetters(text, alphabet);
+  if (!total) return [];
+
+  return affineMultipliers(counts.length)
+    .flatMap((multiplier) =>
+      counts.map((_, offset) => ({
+        multiplier,
+        offset,
+        score: chiSquared(counts, total, LETTER_FREQUENCIES[alphabetId], offset, multiplier)
+      }))
+    )
+    .sort((left, right) => left.score - right.score);
+};
+
+export const pickAffineCandidate = (candidates, selection) =>
+  (selection &&
+    candidates.find(
+      (candidate) =>
+        candidate.multiplier === selection.multiplier && candidate.offset === selection.offset
+    )) ||
+  candidates[0] ||
+  null;
+
+export const SUBSTITUTION_KEY_MODES = ["keyword", "mapping"];
+
+export const letterIndices = (text, alphabet) =>
+  tokenizeLetters(text ?? "", alphabet)
+    .filter((token) => token.index >= 0)
+    .map((token) => token.index);
+
+export const resolveSubstitutionKey = (step, alphabet) => {
+  const size = alphabet.letters.length;
+  if (step.keyMode !== "mapping") {
+    const keywordIndices = letterIndices(step.keyword, alphabet);
+    return { key: [...new Set([...keywordIndices, ...alphabet.letters.keys()])] };
+  }
+
+  const key = letterIndices(step.mapping, alphabet);
+  if (key.length !== size) return { error: "invalidMappingLength", count: key.length, size };
+  const duplicates = [...new Set(key.filter((index, position) => key.indexOf(index) !== position))];
+  if (duplicates.length) {
+    return { error: "duplicateLetters", duplicates: duplicates.map((index) => alphabet.letters[index]) };
+  }
+  return { key };
+};
+
+const substitutionCipher = (text, key, mode, alphabet, preserveCase = true) => {
+  const table = mode === "decode" ? [] : key;
+  if (mode === "decode") {
+    key.forEach((cipherIndex, plainIndex) => {
+      table[cipherIndex] = plainIndex;
+    });
+  }
+
+  return tokenizeLetters(text, alphabet)
+    .map((token) =>
+      token.index < 0 ? token.raw : substituteLetter(token, table[token.index], alphabet, preserveCase)
+    )
+    .join("");
+};
+
+export const solveSubstitution = (text, solution, alphabet, preserveCase = true) =>
+  tokenizeLetters(text, alphabet).map((token) => {
+    const plainIndex = token.index < 0 ? undefined : solution[token.index];
+    return plainIndex === undefined
+      ? { raw: token.raw, isLetter: token.index >= 0, solved: false }
+      : {
+          raw: substituteLetter(token, plainIndex, alphabet, preserveCase),
+          isLetter: true,
+          solved: true
+        };
+  });
+
+export const findSolutionConflicts = (solution) => {
+  const byPlain = new Map();
+  Object.entries(solution).forEach(([cipherIndex, plainIndex]) => {
+    byPlain.set(plainIndex, [...(byPlain.get(plainIndex) ?? []), Number(cipherIndex)]);
+  });
+  return new Set([...byPlain.values()].filter((cipherIndices) => cipherIndices.length > 1).flat());
+};
+
+export const BACON_ALPHABETS = {
+  24: "abcdefghiklmnopqrstuwxyz",
+  26: "abcdefghijklmnopqrstuvwxyz"
+};
+const BACON_MERGED_LETTERS = { j: "i", v: "u" };
+const BACON_GROUP_SIZE = 5;
+const BACON_TERMINATOR = "11111";
+export const BACON_HIDING = ["none", "case", "font"];
+const MATH_BOLD_UPPER = 0x1d400;
+const MATH_BOLD_LOWER = 0x1d41a;
+
+const isLatinLetter = (char) => /^[a-z]$/i.test(char);
+
+const toBoldLetter = (char) =>
+  String.fromCodePoint(
+    char === char.toUpperCase()
+      ? MATH_BOLD_UPPER + char.charCodeAt(0) - 65
+      : MATH_BOLD_LOWER + char.charCodeAt(0) - 97
+  );
+
+const fromBoldLetter = (char) => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint >= MATH_BOLD_UPPER && codePoint < MATH_BOLD_UPPER + 26) {
+    return String.fromCharCode(65 + codePoint - MATH_BOLD_UPPER);
+  }
+  if (codePoint >= MATH_BOLD_LOWER && codePoint < MATH_BOLD_LOWER + 26) {
+    return String.fromCharCode(97 + codePoint - MATH_BOLD_LOWER);
+  }
+  return null;
+};
+
+const getBaconSymbolsError = (step) => {
+  const symbols = [step.symbolA, step.symbolB];
+  const isValid =
+    symbols.every((symbol) => Array.from(symbol ?? "").length === 1) &&
+    step.symbolA.toLowerCase() !== step.symbolB.toLowerCase();
+  return isValid ? null : "invalidBaconSymbols";
+};
+
+const baconEncodeBits = (text, variant) =>
+  Array.from(text.toLowerCase())
+    .map((char) => (variant === "24" ? BACON_MERGED_LETTERS[char] ?? char : char))
+    .map((char) => BACON_ALPHABETS[variant].indexOf(char))
+    .filter((index) => index >= 0)
+    .map((index) => index.toString(2).padStart(BACON_GROUP_SIZE, "0"));
+
+const baconDecodeBits = (bits, variant) => {
+  const letters = [];
+  for (let offset = 0; offset + BACON_GROUP_SIZE <= bits.length; offset += BACON_GROUP_SIZE) {
+    const index = parseInt(bits.slice(offset, offset + BACON_GROUP_SIZE), 2);
+    letters.push(BACON_ALPHABETS[variant][index] ?? "?");
+  }
+  return letters.join("");
+};
+
+const cutAtBaconTerminator = (bits) => {
+  for (let offset = 0; offset + BACON_GROUP_SIZE <= bits.length; offset += BACON_GROUP_SIZE) {
+    if (bits.slice(offset, offset + BACON_GROUP_SIZE) === BACON_TERMINATOR) {
+      return bits.slice(0, offset);
+    }
+  }
+  return bits;
+};
+
+const hideBaconBits = (bits, cover, hiding) => {
+  let cursor = 0;
+  const text = Array.from(cover)
+    .map((char) => {
+      if (!isLatinLetter(char)) return char;
+      const bit = bits[cursor];
+      cursor += 1;
+      if (hiding === "font") return bit === "1" ? toBoldLetter(char) : char;
+      return bit === "1" ? char.toUpperCase() : char.toLowerCase();
+    })
+    .join("");
+  return { text, missing: Math.max(0, bits.length - cursor) };
+};
+
+const readBaconBits = (text, step) =>
+  Array.from(text)
+    .map((char) => {
+      if (step.hiding === "font") {
+        if (fromBoldLetter(char)) return "1";
+        return isLatinLetter(char) ? "0" : "";
+      }
+      if (step.hiding === "case") {
+        if (!isLatinLetter(char)) return "";
+        return char === char.toUpperCase() ? "1" : "0";
+      }
+      const symbol = char.toLowerCase();
+      if (symbol === step.symbolA.toLowerCase()) return "0";
+      return symbol === step.symbolB.toLowerCase() ? "1" : "";
+    })
+    .join("");
+
+const runBacon = (input, step) => {
+  if (step.hiding === "none") {
+    const error = getBaconSymbolsError(step);
+    if (error) return { text: input, error };
+  }
+
+  if (step.mode === "decode") {
+    const bits = readBaconBits(input, step);
+    return {
+      text: baconDecodeBits(step.hiding === "none" ? bits : cutAtBaconTerminator(bits), step.variant)
+    };
+  }
+
+  const groups = baconEncodeBits(input, step.variant);
+  if (step.hiding === "none") {
+    return {
+      text: groups
+        .map((group) =>
+          Array.from(group, (bit) => (bit === "1" ? step.symbolB : step.symbolA)).join("")
+        )
+        .join(" ")
+    };
+  }
+
+  const { text, missing } = hideBaconBits(
+    [...groups, BACON_TERMINATOR].join(""),
+    step.coverText,
+    step.hiding
+  );
+  return missing ? { text, error: "coverTooShort", missing } : { text };
+};
+
+const reverseText = (text) => text.split("").reverse().join("");
+
+const replaceText = (text, fromText, toText, matchCase) => {
+  if (!fromText) return text;
+  const pattern = new RegExp(escapeRegex(fromText), matchCase ? "g" : "gi");
+  return text.replace(pattern, toText ?? "");
+};
+
+const toTitleCase = (text) =>
+  text.replace(/\b(\p{L})(\p{L}*)/gu, (_, first, rest) =>
+    `${first.toUpperCase()}${rest.toLowerCase()}`
+  );
+
+const toggleCase = (text) =>
+  text
+    .split("")
+    .map((char) => {
+      const lower = char.toLowerCase();
+      const upper = char.toUpperCase();
+      if (lower === upper) return char;
+      return char === lower ? upper : lower;
+    })
+    .join("");
+
+const transformCase = (text, caseMode) => {
+  switch (caseMode) {
+    case "upper":
+      return text.toUpperCase();
+    case "lower":
+      return text.toLowerCase();
+    case "title":
+      return toTitleCase(text);
+    case "toggle":
+      return toggleCase(text);
+    default:
+      return text;
+  }
+};
+
+const a1z26Encode = (text, alphabet) =>
+  tokenizeLetters(text, alphabet)
+    .map((token) => (token.index < 0 ? token.raw : String(token.index + 1)))
+    .join(" ")
+    .replace(/\s{2,}/g, " ")
+    .trim();
+
+const a1z26Decode = (text, alphabet) =>
+  text.replace(/\b[1-9]\d*\b/g, (match) => alphabet.letters[Number(match) - 1] ?? match);
+
+const getVigenereKey = (key, alphabet) =>
+  tokenizeLetters(key ?? "", alphabet)
+    .filter((token) => token.index >= 0)
+    .map((token) => token.index);
+
+export const vigenereCipher = (text, key, mode, alphabet, preserveCase) => {
+  const keyOffsets = Array.isArray(key) ? key : getVigenereKey(key, alphabet);
+  if (!keyOffsets.length) return text;
+
+  let keyIndex = 0;
+  return tokenizeLetters(text, alphabet)
+    .map((token) => {
+      if (token.index < 0) return token.raw;
+
+      const offset = keyOffsets[keyIndex % keyOffsets.length];
+      keyIndex += 1;
+      const shift = mode === "decode" ? -offset : offset;
+      return shiftLetter(token, shift, alphabet, preserveCase);
+    })
+    .join("");
+};
+
+const formatVigenereKey = (keyOffsets, alphabet) => {
+  const letters = keyOffsets.map((offset) => alphabet.letters[offset].toUpperCase());
+  const joined = letters.join("");
+  const roundTrips = getVigenereKey(joined, alphabet).join(",") === keyOffsets.join(",");
+  return roundTrips ? joined : letters.join("·");
+};
+
+const indexOfCoincidence = (counts, total) =>
+  total < 2 ? 0 : counts.reduce((sum, count) => sum + count * (count - 1), 0) / (total * (total - 1));
+
+const kasiskiDistances = (indices) => {
+  const lastSeen = new Map();
+  const distances = [];
+  for (let position = 0; position + KASISKI_SEQUENCE_LENGTH <= indices.length; position += 1) {
+    const sequence = indices.slice(position, position + KASISKI_SEQUENCE_LENGTH).join(",");
+    if (lastSeen.has(sequence)) distances.push(position - lastSeen.get(sequence));
+    lastSeen.set(sequence, position);
+  }
+  return distances;
+};
+
+const recoverKeyOffset = (counts, total, frequencies) => {
+  const scores = counts
+    .map((_, shift) => ({ shift, score: chiSquared(counts, total, frequencies, shift) }))
+    .sort((left, right) => left.score - right.score);
+  const [best, runnerUp] = scores;
+  return {
+    offset: best.shift,
+    confidence: runnerUp && runnerUp.score > 0 ? 1 - best.score / runnerUp.score : 0
+  };
+};
+
+const findKeyPeriod = (keyOffsets) => {
+  for (let period = 1; period < keyOffsets.length; period += 1) {
+    if (keyOffsets.length % period !== 0) continue;
+    if (keyOffsets.every((offset, index) => offset === keyOffsets[index % period])) return period;
+  }
+  return keyOffsets.length;
+};
+
+const analyzeVigenere = (text, alphabetId) => {
+  const alphabet = ALPHABETS[alphabetId];
+  const frequencies = LETTER_FREQUENCIES[alphabetId];
+  if (!alphabet || !frequencies) return null;
+
+  const size = alphabet.letters.length;
+  const indices = tokenizeLetters(text, alphabet)
+    .filter((token) => token.index >= 0)
+    .map((token) => token.index);
+
+  const frequencySum = frequencies.reduce((sum, value) => sum + value, 0);
+  const languageIoc = frequencies.reduce((sum, value) => sum + (value / frequencySum) ** 2, 0);
+  const randomIoc = 1 / size;
+  const { counts, total } = countLetters(text, alphabet);
+  const observedIoc = indexOfCoincidence(counts, total);
+  const friedman = observedIoc > randomIoc ? (languageIoc - randomIoc) / (observedIoc - randomIoc) : null;
+
+  const distances = kasiskiDistances(indices);
+  const kasiskiWeight = distances.length ? 0.4 : 0;
+  const maxLength = Math.min(MAX_KEY_LENGTH, Math.floor(indices.length / 2));
+  const candidates = [];
+
+  for (let keyLength = 1; keyLength <= maxLength; keyLength += 1) {
+    const columns = Array.from({ length: keyLength }, () => Array(size).fill(0));
+    indices.forEach((index, position) => {
+      columns[position % keyLength][index] += 1;
+    });
+    const columnTotals = columns.map((column) => column.reduce((sum, count) => sum + count, 0));
+
+    const averageIoc =
+      columns.reduce((sum, column, columnIndex) => sum + indexOfCoincidence(column, columnTotals[columnIndex]), 0) /
+      keyLength;
+    const columnSize = indices.length / keyLength;
+    const shrinkage = columnSize / (columnSize + IOC_SMOOTHING);
+    const iocScore = Math.max(0, ((averageIoc - randomIoc) * shrinkage) / (languageIoc - randomIoc));
+    const kasiskiScore = distances.length
+      ? distances.filter((distance) => distance % keyLength === 0).length / distances.length
+      : 0;
+
+    const letters = columns.map((column, columnIndex) =>
+      recoverKeyOffset(column, columnTotals[columnIndex], frequencies)
+    );
+    const keyOffsets = letters.map((letter) => letter.offset);
+
+    candidates.push({
+      keyLength,
+      keyOffsets,
+      key: formatVigenereKey(keyOffsets, alphabet),
+      letterConfidence: letters.map((letter) => letter.confidence),
+      averageIoc,
+      kasiskiScore,
+      score: iocScore * (1 - kasiskiWeight) + kasiskiScore * kasiskiWeight
+    });
+  }
+
+  const byLength = new Map(candidates.map((candidate) => [candidate.keyLength, candidate]));
+  const distinct = candidates.filter((candidate) => {
+    const period = findKeyPeriod(candidate.keyOffsets);
+    const base = byLength.get(period);
+    if (period === candidate.keyLength || !base) return true;
+    if (base.keyOffsets.join(",") !== candidate.keyOffsets.slice(0, period).join(",")) return true;
+    base.score = Math.max(base.score, candidate.score);
+    return false;
+  });
+
+  return {
+    friedman,
+    observedIoc,
+    candidates: distinct
+      .map((candidate) => ({ ...candidate, confidence: Math.min(1, candidate.score) }))
+      .sort((left, right) => right.score - left.score || left.keyLength - right.keyLength)
+  };
+};
+
+export const pickVigenereCandidate = (analysis, keyLength) =>
+  (keyLength && analysis?.candidates.find((candidate) => candidate.keyLength === keyLength)) ||
+  analysis?.candidates[0] ||
+  null;
+
+const railFenceEncode = (text, rails) => {
+  if (rails <= 1 || text.length <= 1) return text;
+
+  const fence = Array.from({ length: rails }, () => []);
+  let row = 0;
+  let direction = 1;
+
+  for (const char of text) {
+    fence[row].push(char);
+    if (row === 0) direction = 1;
+    if (row === rails - 1) direction = -1;
+    row += direction;
+  }
+
+  return fence.map((line) => line.join("")).join("");
+};
+
+const railFenceDecode = (cipher, rails) => {
+  if (rails <= 1 || cipher.length <= 1) return cipher;
+
+  const pattern = [];
+  let row = 0;
+  let direction = 1;
+  for (let i = 0; i < cipher.length; i += 1) {
+    pattern.push(row);
+    if (row === 0) direction = 1;
+    if (row === rails - 1) direction = -1;
+    row += direction;
+  }
+
+  const counts = Array(rails).fill(0);
+  for (const rail of pattern) counts[rail] += 1;
+
+  const railsData = Array.from({ length: rails }, () => []);
+  let cursor = 0;
+  for (let rail = 0; rail < rails; rail += 1) {
+    railsData[rail] = cipher.slice(cursor, cursor + counts[rail]).split("");
+    cursor += counts[rail];
+  }
+
+  const railReadCursor = Array(rails).fill(0);
+  return pattern
+    .map((rail) => {
+      const char = railsData[rail][railReadCursor[rail]];
+      railReadCursor[rail] += 1;
+      return char;
+    })
+    .join("");
+};
+
+export const ENIGMA_LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const ENIGMA_MAX_PLUGS = 13;
+
+const ENIGMA_ROTORS = {
+  I: { wiring: "EKMFLGDQVZNTOWYHXUSPAIBRCJ", notches: "Q" },
+  II: { wiring: "AJDKSIRUXBLHWTMCQGZNPYFVOE", notches: "E" },
+  III: { wiring: "BDFHJLCPRTXVZNYEIWGAKMUSQO", notches: "V" },
+  IV: { wiring: "ESOVPZJAYQUIRHXLNFTGKDCMWB", notches: "J" },
+  V: { wiring: "VZBRGITYUPSDNHLXAWMJQOFECK", notches: "Z" },
+  VI: { wiring: "JPGVOUMFYQBENHZRDKASXLICTW", notches: "ZM" },
+  VII: { wiring: "NZJHGRCXMYSWBOUFAIVLPEKQDT", notches: "ZM" },
+  VIII: { wiring: "FKQHTLXOCBJSPDZRAMEWNIUYGV", notches: "ZM" }
+};
+
+export const ENIGMA_GREEK_ROTORS = {
+  beta: { wiring: "LEYJVCNIXWPBQMDRTAKZGFUHOS", notches: "" },
+  gamma: { wiring: "FSOKANUERHMBTIYCWLQPZXVGJD", notches: "" }
+};
+
+const ENIGMA_REFLECTORS = {
+  B: "YRUHQSLDPXNGOKMIEBFZCWVJAT",
+  C: "FVPJIAOYEDRZXWGCTKUQSBNMHL",
+  "B-thin": "ENKQAUYWJICOPBLMDXZVFTHRGS",
+  "C-thin": "RDOBJNTKVEHMLFCWZAXGYIPSUQ"
+};
+
+export const ENIGMA_MODELS = {
+  I: { rotors: ["I", "II", "III", "IV", "V"], reflectors: ["B", "C"], greek: false },
+  M3: {
+    rotors: ["I", "II", "III", "IV", "V", "VI", "VII", "VIII"],
+    reflectors: ["B", "C"],
+    greek: false
+  },
+  M4: {
+    rotors: ["I", "II", "III", "IV", "V", "VI", "VII", "VIII"],
+    reflectors: ["B-thin", "C-thin"],
+    greek: true
+  }
+};
+
+const toEnigmaIndex = (letter) => ENIGMA_LETTERS.indexOf(letter);
+
+const buildEnigmaRotor = ({ wiring, notches }, ring, position) => {
+  const forward = Array.from(wiring, toEnigmaIndex);
+  const backward = Array(forward.length);
+  forward.forEach((target, source) => {
+    backward[target] = source;
+  });
+  return {
+    forward,
+    backward,
+    notches: Array.from(notches, toEnigmaIndex),
+    ring: (((Number(ring) || 1) - 1) % 26 + 26) % 26,
+    position: Math.max(0, toEnigmaIndex(position))
+  };
+};
+
+const parsePlugboard = (source) => {
+  const pairs = (source ?? "").toUpperCase().split(/[\s,;]+/).filter(Boolean);
+  const wiring = Array.from({ length: ENIGMA_LETTERS.length }, (_, index) => index);
+  if (pairs.length > ENIGMA_MAX_PLUGS) return { error: "invalidPlugboard" };
+
+  for (const pair of pairs) {
+    const [left, right] = Array.from(pair, toEnigmaIndex);
+    const isValid =
+      pair.length === 2 &&
+      left >= 0 &&
+      right >= 0 &&
+      left !== right &&
+      wiring[left] === left &&
+      wiring[right] === right;
+    if (!isValid) return { error: "invalidPlugboard" };
+    wiring[left] = right;
+    wiring[right] = left;
+  }
+
+  return { wiring };
+};
+
+export const resolveEnigma = (step) => {
+  const model = ENIGMA_MODELS[step.model] ?? ENIGMA_MODELS.I;
+  const rotorNames = step.rotors ?? [];
+  if (rotorNames.length !== 3 || rotorNames.some((name) => !model.rotors.includes(name))) {
+    return { error: "invalidRotors" };
+  }
+  if (new Set(rotorNames).size !== rotorNames.length) return { error: "duplicateRotors" };
+  if (!model.reflectors.includes(step.reflector)) return { error: "invalidRotors" };
+
+  const plugboard = parsePlugboard(step.plugboard);
+  if (plugboard.error) return plugboard;
+
+  const rotors = rotorNames.map((name, slot) =>
+    buildEnigmaRotor(ENIGMA_ROTORS[name], step.rings?.[slot], step.positions?.[slot])
+  );
+  const greek = model.greek
+    ? buildEnigmaRotor(
+        ENIGMA_GREEK_ROTORS[step.greekRotor] ?? ENIGMA_GREEK_ROTORS.beta,
+        step.greekRing,
+        step.greekPosition
+      )
+    : null;
+
+  return {
+    machine: {
+      plugboard: plugboard.wiring,
+      greek,
+      rotors,
+      reflector: Array.from(ENIGMA_REFLECTORS[step.reflector], toEnigmaIndex)
+    }
+  };
+};
+
+const passRotor = (signal, rotor, wiring) => {
+  const offset = rotor.position - rotor.ring;
+  const entry = (((signal + offset) % 26) + 26) % 26;
+  return (((wiring[entry] - offset) % 26) + 26) % 26;
+};
+
+const stepEnigmaRotors = ([left, middle, right]) => {
+  if (middle.notches.includes(middle.position)) {
+    left.position = (left.position + 1) % 26;
+    middle.position = (middle.position + 1) % 26;
+  } else if (right.notches.includes(right.position)) {
+    middle.position = (middle.position + 1) % 26;
+  }
+  right.position = (right.position + 1) % 26;
+};
+
+const runEnigma = (text, machine) => {
+  const rotors = machine.rotors.map((rotor) => ({ ...rotor }));
+  const chain = machine.greek ? [machine.greek, ...rotors] : rotors;
+  let output = "";
+
+  for (const char of text) {
+    const upper = char.toUpperCase();
+    const index = upper.length === 1 ? toEnigmaIndex(upper) : -1;
+    if (index < 0) {
+      output += char;
+      continue;
+    }
+
+    stepEnigmaRotors(rotors);
+    let signal = machine.plugboard[index];
+    for (let slot = chain.length - 1; slot >= 0; slot -= 1) {
+      signal = passRotor(signal, chain[slot], chain[slot].forward);
+    }
+    signal = machine.reflector[signal];
+    for (let slot = 0; slot < chain.length; slot += 1) {
+      signal = passRotor(signal, chain[slot], chain[slot].backward);
+    }
+    signal = machine.plugboard[signal];
+
+    const letter = ENIGMA_LETTERS[signal];
+    output += char === upper ? letter : letter.toLowerCase();
+  }
+
+  return {
+    text: output,
+    positions: [...(machine.greek ? [machine.greek] : []), ...rotors].map(
+      (rotor) => ENIGMA_LETTERS[rotor.position]
+    )
+  };
+};
+
+export const switchEnigmaModel = (step, modelId) => {
+  const model = ENIGMA_MODELS[modelId] ?? ENIGMA_MODELS.I;
+  const defaults = ENIGMA_MODELS.I.rotors;
+  return {
+    model: modelId,
+    reflector: model.reflectors.includes(step.reflector) ? step.reflector : model.reflectors[0],
+    rotors: (step.rotors ?? []).map((name, slot) =>
+      model.rotors.includes(name) ? name : defaults[slot]
+    )
+  };
+};
+
+const MORSE_COMMON = {
+  0: "-----",
+  1: ".----",
+  2: "..---",
+  3: "...--",
+  4: "....-",
+  5: ".....",
+  6: "-....",
+  7: "--...",
+  8: "---..",
+  9: "----.",
+  ".": ".-.-.-",
+  ",": "--..--",
+  "?": "..--..",
+  "'": ".----.",
+  "!": "-.-.--",
+  "/": "-..-.",
+  "(": "-.--.",
+  ")": "-.--.-",
+  "&": ".-...",
+  ":": "---...",
+  ";": "-.-.-.",
+  "=": "-...-",
+  "+": ".-.-.",
+  "-": "-....-",
+  _: "..--.-",
+  '"': ".-..-.",
+  $: "...-..-",
+  "@": ".--.-."
+};
+
+const MORSE_LATIN_LETTERS = {
+  A: ".-",
+  B: "-...",
+  C: "-.-.",
+  D: "-..",
+  E: ".",
+  F: "..-.",
+  G: "--.",
+  H: "....",
+  I: "..",
+  J: ".---",
+  K: "-.-",
+  L: ".-..",
+  M: "--",
+  N: "-.",
+  O: "---",
+  P: ".--.",
+  Q: "--.-",
+  R: ".-.",
+  S: "...",
+  T: "-",
+  U: "..-",
+  V: "...-",
+  W: ".--",
+  X: "-..-",
+  Y: "-.--",
+  Z: "--.."
+};
+
+const MORSE_CYRILLIC_LETTERS = {
+  А: ".-",
+  Б: "-...",
+  В: ".--",
+  Г: "--.",
+  Д: "-..",
+  Е: ".",
+  Ж: "...-",
+  З: "--..",
+  И: "..",
+  Й: ".---",
+  К: "-.-",
+  Л: ".-..",
+  М: "--",
+  Н: "-.",
+  О: "---",
+  П: ".--.",
+  Р: ".-.",
+  С: "...",
+  Т: "-",
+  У: "..-",
+  Ф: "..-.",
+  Х: "....",
+  Ц: "-.-.",
+  Ч: "---.",
+  Ш: "----",
+  Щ: "--.-",
+  Ъ: "--.--",
+  Ы: "-.--",
+  Ь: "-..-",
+  Э: "..-..",
+  Ю: "..--",
+  Я: ".-.-"
+};
+
+const MORSE_TABLES = {
+  latin: { ...MORSE_LATIN_LETTERS, ...MORSE_COMMON },
+  cyrillic: { ...MORSE_CYRILLIC_LETTERS, Ё: MORSE_CYRILLIC_LETTERS.Е, ...MORSE_COMMON }
+};
+
+const invertTable = (table) =>
+  Object.entries(table).reduce(
+    (inverted, [char, code]) => (code in inverted ? inverted : { ...inverted, [code]: char }),
+    {}
+  );
+
+const MORSE_DECODE_TABLES = {
+  latin: invertTable(MORSE_TABLES.latin),
+  cyrillic: invertTable(MORSE_TABLES.cyrillic)
+};
+
+export const getMorseSymbolsError = ({ dot, dash, letterSeparator, wordSeparator }) => {
+  if (!dot || !dash || !letterSeparator || !wordSeparator) return "invalidMorseSymbols";
+  if (dot.startsWith(dash) || dash.startsWith(dot)) return "invalidMorseSymbols";
+  if (letterSeparator === wordSeparator) return "invalidMorseSymbols";
+  return null;
+};
+
+const lookupMorse = (char, tableId) => {
+  const upper = char.toUpperCase();
+  return MORSE_TABLES[tableId]?.[upper] ?? (tableId === "cyrillic" ? MORSE_TABLES.latin[upper] : null);
+};
+
+const morseEncode = (text, step) => {
+  const unknown = new Set();
+  const codes = [];
+  const words = text
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => {
+      const wordCodes = [];
+      const letters = Array.from(word).map((char) => {
+        const code = lookupMorse(char, step.table);
+        if (!code) {
+          unknown.add(char);
+          return char;
+        }
+        wordCodes.push(code);
+        return Array.from(code, (symbol) => (symbol === "." ? step.dot : step.dash)).join("");
+      });
+      codes.push(wordCodes);
+      return letters.join(step.letterSeparator);
+    });
+
+  return { text: words.join(step.wordSeparator), codes, unknown: [...unknown] };
+};
+
+const splitMorse = (text, separator, fallbackPattern) =>
+  text
+    .split(separator.trim() || fallbackPattern)
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+const readMorseSymbols = (token, step) => {
+  let rest = token;
+  let code = "";
+  while (rest) {
+    if (rest.startsWith(step.dot)) {
+      code += ".";
+      rest = rest.slice(step.dot.length);
+    } else if (rest.startsWith(step.dash)) {
+      code += "-";
+      rest = rest.slice(step.dash.length);
+    } else {
+      return null;
+    }
+  }
+  return code;
+};
+
+const morseDecode = (text, step) => {
+  const unknown = new Set();
+  const codes = [];
+  const table = MORSE_DECODE_TABLES[step.table] ?? MORSE_DECODE_TABLES.latin;
+  const words = splitMorse(text, step.wordSeparator, step.wordSeparator.length > 1 ? step.wordSeparator : /\n+/).map(
+    (word) => {
+      const wordCodes = [];
+      const letters = splitMorse(word, step.letterSeparator, /\s+/).map((token) => {
+        const code = readMorseSymbols(token, step);
+        if (!code || !table[code]) {
+          unknown.add(token);
+          return token;
+        }
+        wordCodes.push(code);
+        return table[code];
+      });
+      codes.push(wordCodes);
+      return letters.join("");
+    }
+  );
+
+  return { text: words.join(" "), codes, unknown: [...unknown] };
+};
+
+const runMorse = (text, step) => {
+  if (getMorseSymbolsError(step)) return { text, codes: [], unknown: [] };
+  return step.mode === "decode" ? morseDecode(text, step) : morseEncode(text, step);
+};
+
+export const morseTimeline = (codes, wpm, farnsworth) => {
+  const unit = 1.2 / wpm;
+  const effective = Math.min(farnsworth, wpm);
+  const spacingUnit = effective < wpm ? (60 / effective - 31 * unit) / 19 : unit;
+  const tones = [];
+  let time = 0;
+
+  codes.forEach((word, wordIndex) => {
+    if (wordIndex > 0) time += 7 * spacingUnit;
+    word.forEach((code, letterIndex) => {
+      if (letterIndex > 0) time += 3 * spacingUnit;
+      Array.from(code).forEach((symbol, symbolIndex) => {
+        if (symbolIndex > 0) time += unit;
+        const duration = symbol === "-" ? 3 * unit : unit;
+        tones.push({ start: time, duration });
+        time += duration;
+      });
+    });
+  });
+
+  return { tones, duration: time };
+};
+
+const ITA2_CONTROLS = { " ": "00100", "\r": "00010", "\n": "01000" };
+
+const ITA2_LETTERS = {
+  A: "11000",
+  B: "10011",
+  C: "01110",
+  D: "10010",
+  E: "10000",
+  F: "10110",
+  G: "01011",
+  H: "00101",
+  I: "01100",
+  J: "11010",
+  K: "11110",
+  L: "01001",
+  M: "00111",
+  N: "00110",
+  O: "00011",
+  P: "01101",
+  Q: "11101",
+  R: "01010",
+  S: "10100",
+  T: "00001",
+  U: "11100",
+  V: "01111",
+  W: "11001",
+  X: "10111",
+  Y: "10101",
+  Z: "10001",
+  ...ITA2_CONTROLS
+};
+
+const ITA2_FIGURES = {
+  "-": "11000",
+  "?": "10011",
+  ":": "01110",
+  3: "10000",
+  8: "01100",
+  "(": "11110",
+  ")": "01001",
+  ".": "00111",
+  ",": "00110",
+  9: "00011",
+  0: "01101",
+  1: "11101",
+  4: "01010",
+  "'": "10100",
+  5: "00001",
+  7: "11100",
+  "=": "01111",
+  2: "11001",
+  "/": "10111",
+  6: "10101",
+  "+": "10001",
+  ...ITA2_CONTROLS
+};
+
+const MTK2_RUSSIAN = {
+  А: ITA2_LETTERS.A,
+  Б: ITA2_LETTERS.B,
+  В: ITA2_LETTERS.W,
+  Г: ITA2_LETTERS.G,
+  Д: ITA2_LETTERS.D,
+  Е: ITA2_LETTERS.E,
+  Ж: ITA2_LETTERS.V,
+  З: ITA2_LETTERS.Z,
+  И: ITA2_LETTERS.I,
+  Й: ITA2_LETTERS.J,
+  К: ITA2_LETTERS.K,
+  Л: ITA2_LETTERS.L,
+  М: ITA2_LETTERS.M,
+  Н: ITA2_LETTERS.N,
+  О: ITA2_LETTERS.O,
+  П: ITA2_LETTERS.P,
+  Р: ITA2_LETTERS.R,
+  С: ITA2_LETTERS.S,
+  Т: ITA2_LETTERS.T,
+  У: ITA2_LETTERS.U,
+  Ф: ITA2_LETTERS.F,
+  Х: ITA2_LETTERS.H,
+  Ц: ITA2_LETTERS.C,
+  Ы: ITA2_LETTERS.Y,
+  Ь: ITA2_LETTERS.X,
+  Я: ITA2_LETTERS.Q,
+  Ё: ITA2_LETTERS.E,
+  Ъ: ITA2_LETTERS.X,
+  ...ITA2_CONTROLS
+};
+
+const MTK2_FIGURES = {
+  ...ITA2_FIGURES,
+  Э: ITA2_LETTERS.F,
+  Ш: ITA2_LETTERS.G,
+  Щ: ITA2_LETTERS.H,
+  Ю: ITA2_LETTERS.J,
+  Ч: ITA2_FIGURES[4]
+};
+
+const BAUDOT_1888_LETTERS = {
+  A: "10000",
+  É: "11000",
+  E: "01000",
+  I: "01100",
+  O: "11100",
+  U: "10100",
+  Y: "00100",
+  B: "00101",
+  C: "10101",
+  D: "11101",
+  F: "01101",
+  G: "01001",
+  H: "11001",
+  J: "10001",
+  K: "10011",
+  L: "11011",
+  M: "01011",
+  N: "01111",
+  P: "11111",
+  Q: "10111",
+  R: "00111",
+  S: "00110",
+  T: "10110",
+  V: "11110",
+  W: "01110",
+  X: "01010",
+  Z: "11010",
+  " ": "00001"
+};
+
+const BAUDOT_1888_FIGURES = {
+  1: BAUDOT_1888_LETTERS.A,
+  "&": BAUDOT_1888_LETTERS.É,
+  2: BAUDOT_1888_LETTERS.E,
+  5: BAUDOT_1888_LETTERS.O,
+  4: BAUDOT_1888_LETTERS.U,
+  3: BAUDOT_1888_LETTERS.Y,
+  8: BAUDOT_1888_LETTERS.B,
+  9: BAUDOT_1888_LETTERS.C,
+  0: BAUDOT_1888_LETTERS.D,
+  7: BAUDOT_1888_LETTERS.G,
+  6: BAUDOT_1888_LETTERS.J,
+  "(": BAUDOT_1888_LETTERS.K,
+  "=": BAUDOT_1888_LETTERS.L,
+  ")": BAUDOT_1888_LETTERS.M,
+  "№": BAUDOT_1888_LETTERS.N,
+  "%": BAUDOT_1888_LETTERS.P,
+  "/": BAUDOT_1888_LETTERS.Q,
+  "-": BAUDOT_1888_LETTERS.R,
+  ";": BAUDOT_1888_LETTERS.S,
+  "!": BAUDOT_1888_LETTERS.T,
+  "'": BAUDOT_1888_LETTERS.V,
+  "?": BAUDOT_1888_LETTERS.W,
+  ",": BAUDOT_1888_LETTERS.X,
+  ":": BAUDOT_1888_LETTERS.Z,
+  ".": "10010",
+  " ": "00010"
+};
+
+export const BAUDOT_VARIANTS = {
+  ita2: {
+    shifts: { letters: "11111", figures: "11011" },
+    registers: { letters: ITA2_LETTERS, figures: ITA2_FIGURES }
+  },
+  mtk2: {
+    shifts: { letters: "11111", russian: "00000", figures: "11011" },
+    registers: { letters: ITA2_LETTERS, russian: MTK2_RUSSIAN, figures: MTK2_FIGURES }
+  },
+  baudot: {
+    shifts: { letters: "00001", figures: "00010" },
+    registers: { letters: BAUDOT_1888_LETTERS, figures: BAUDOT_1888_FIGURES }
+  }
+};
+
+const BAUDOT_DECODE_TABLES = Object.fromEntries(
+  Object.entries(BAUDOT_VARIANTS).map(([variantId, { registers }]) => [
+    variantId,
+    Object.fromEntries(Object.entries(registers).map(([register, table]) => [register, invertTable(table)]))
+  ])
+);
+
+const sharedCodes = (table) =>
+  Object.entries(table).reduce(
+    (shared, [char, code]) => ({ ...shared, [code]: [...(shared[code] ?? []), char] }),
+    {}
+  );
+
+const BAUDOT_AMBIGUOUS_CODES = Object.fromEntries(
+  Object.entries(BAUDOT_VARIANTS).map(([variantId, { registers }]) => [
+    variantId,
+    Object.fromEntries(
+      Object.entries(registers).map(([register, table]) => [
+        register,
+        Object.fromEntries(Object.entries(sharedCodes(table)).filter(([, chars]) => chars.length > 1))
+      ])
+    )
+  ])
+);
+
+export const BAUDOT_FORMATS = ["binary", "tape"];
+const TAPE_HOLE = "●";
+const TAPE_BLANK = "○";
+const TAPE_SPROCKET = "·";
+
+const formatBaudotCode = (code, format) => {
+  if (format !== "tape") return code;
+  const row = Array.from(code, (bit) => (bit === "1" ? TAPE_HOLE : TAPE_BLANK)).join("");
+  return `${row.slice(0, 2)}${TAPE_SPROCKET}${row.slice(2)}`;
+};
+
+const baudotEncode = (text, step) => {
+  const { shifts, registers } = BAUDOT_VARIANTS[step.variant];
+  const unknown = new Set();
+  const codes = [];
+  let register = null;
+
+  Array.from(text.replace(/\r\n?/g, "\n").toUpperCase()).forEach((char) => {
+    const symbols = char === "\n" ? ["\r", "\n"] : [char];
+    symbols.forEach((symbol) => {
+      if (!(register && symbol in registers[register])) {
+        const next = Object.keys(registers).find((candidate) => symbol in registers[candidate]);
+        if (!next) {
+          unknown.add(symbol);
+          return;
+        }
+        register = next;
+        codes.push(shifts[register]);
+      }
+      codes.push(registers[register][symbol]);
+    });
+  });
+
+  return {
+    output: codes.map((code) => formatBaudotCode(code, step.format)).join(step.format === "tape" ? "\n" : " "),
+    unknown: [...unknown]
+  };
+};
+
+const readBaudotCodes = (text) => {
+  if (text.includes(TAPE_HOLE) || text.includes(TAPE_BLANK)) {
+    const rows = text
+      .split("\n")
+      .map((row) => row.replace(new RegExp(`[^${TAPE_HOLE}${TAPE_BLANK}]`, "g"), ""))
+      .filter(Boolean);
+    return {
+      codes: rows
+        .filter((row) => row.length === 5)
+        .map((row) => Array.from(row, (mark) => (mark === TAPE_HOLE ? "1" : "0")).join("")),
+      incomplete: rows.some((row) => row.length !== 5)
+    };
+  }
+
+  const bits = text.replace(/[^01]/g, "");
+  return { codes: bits.match(/[01]{5}/g) ?? [], incomplete: bits.length % 5 !== 0 };
+};
+
+const baudotDecode = (text, step) => {
+  const { shifts } = BAUDOT_VARIANTS[step.variant];
+  const tables = BAUDOT_DECODE_TABLES[step.variant];
+  const ambiguousCodes = BAUDOT_AMBIGUOUS_CODES[step.variant];
+  const shiftByCode = invertTable(shifts);
+  const { codes, incomplete } = readBaudotCodes(text);
+  const unknown = new Set();
+  const ambiguous = new Set();
+  let register = null;
+  let output = "";
+
+  codes.forEach((code) => {
+    const shift = shiftByCode[code];
+    if (shift && shift !== register) {
+      register = shift;
+      return;
+    }
+    const char = tables[register ?? "letters"][code];
+    if (char !== undefined) output += char;
+    else if (!shift) unknown.add(code);
+    const shared = ambiguousCodes[register ?? "letters"][code];
+    if (shared) ambiguous.add(shared.join("/"));
+  });
+
+  return {
+    output: output.replace(/\r\n?/g, "\n"),
+    unknown: [...unknown],
+    ambiguous: [...ambiguous],
+    ...(incomplete ? { error: "invalidBaudotLength" } : {})
+  };
+};
+
+const runBaudot = (text, step) => (step.mode === "decode" ? baudotDecode(text, step) : baudotEncode(text, step));
+
+const SPELLING_WORDS = {
+  nato: {
+    a: "Alfa",
+    b: "Bravo",
+    c: "Charlie",
+    d: "Delta",
+    e: "Echo",
+    f: "Foxtrot",
+    g: "Golf",
+    h: "Hotel",
+    i: "India",
+    j: "Juliett",
+    k: "Kilo",
+    l: "Lima",
+    m: "Mike",
+    n: "November",
+    o: "Oscar",
+    p: "Papa",
+    q: "Quebec",
+    r: "Romeo",
+    s: "Sierra",
+    t: "Tango",
+    u: "Uniform",
+    v: "Victor",
+    w: "Whiskey",
+    x: "Xray",
+    y: "Yankee",
+    z: "Zulu",
+    0: "Zero",
+    1: "One",
+    2: "Two",
+    3: "Tree",
+    4: "Fower",
+    5: "Fife",
+    6: "Six",
+    7: "Seven",
+    8: "Eight",
+    9: "Niner",
+    ".": "Stop",
+    ",": "Comma",
+    "-": "Hyphen",
+    "/": "Slant",
+    "(": "Brackets on",
+    ")": "Brackets off",
+    "?": "Query",
+    "'": "Apostrophe",
+    ":": "Colon",
+    "!": "Exclamation",
+    '"': "Quote"
+  },
+  ru: {
+    а: "Анна",
+    б: "Борис",
+    в: "Василий",
+    г: "Григорий",
+    д: "Дмитрий",
+    е: "Елена",
+    ё: "Елена",
+    ж: "Женя",
+    з: "Зинаида",
+    и: "Иван",
+    й: "Иван краткий",
+    к: "Константин",
+    л: "Леонид",
+    м: "Михаил",
+    н: "Николай",
+    о: "Ольга",
+    п: "Павел",
+    р: "Роман",
+    с: "Семён",
+    т: "Татьяна",
+    у: "Ульяна",
+    ф: "Фёдор",
+    х: "Харитон",
+    ц: "Цапля",
+    ч: "Человек",
+    ш: "Шура",
+    щ: "Щука",
+    ъ: "Твёрдый знак",
+    ы: "Еры",
+    ь: "Мягкий знак",
+    э: "Эхо",
+    ю: "Юрий",
+    я: "Яков",
+    0: "Ноль",
+    1: "Единица",
+    2: "Два",
+    3: "Три",
+    4: "Четыре",
+    5: "Пять",
+    6: "Шесть",
+    7: "Семь",
+    8: "Восемь",
+    9: "Девять",
+    ".": "Точка",
+    ",": "Запятая",
+    "-": "Дефис",
+    "/": "Дробь",
+    "(": "Скобка открыта",
+    ")": "Скобка закрыта",
+    "?": "Вопрос",
+    "'": "Апостроф",
+    ":": "Двоеточие",
+    "!": "Восклицательный знак",
+    '"': "Кавычки"
+  },
+  uz: {
+    a: "Anvar",
+    b: "Bobur",
+    d: "Dilshod",
+    e: "Elmurod",
+    f: "Farhod",
+    g: "Gulnora",
+    h: "Hamid",
+    i: "Ilhom",
+    j: "Jasur",
+    k: "Kamola",
+    l: "Laylo",
+    m: "Malika",
+    n: "Nodira",
+    o: "Olim",
+    p: "Parvina",
+    q: "Qodir",
+    r: "Rustam",
+    s: "Sardor",
+    t: "Temur",
+    u: "Umid",
+    v: "Vali",
+    x: "Xurshid",
+    y: "Yusuf",
+    z: "Zarina",
+    oʻ: "Oʻktam",
+    gʻ: "Gʻayrat",
+    sh: "Shahlo",
+    ch: "Chori",
+    0: "Nol",
+    1: "Bir",
+    2: "Ikki",
+    3: "Uch",
+    4: "Toʻrt",
+    5: "Besh",
+    6: "Olti",
+    7: "Yetti",
+    8: "Sakkiz",
+    9: "Toʻqqiz",
+    ".": "Nuqta",
+    ",": "Vergul",
+    "-": "Chiziqcha",
+    "/": "Qiya chiziq",
+    "(": "Qavs ochiladi",
+    ")": "Qavs yopiladi",
+    "?": "Soʻroq belgisi",
+    "'": "Tutuq belgisi",
+    ":": "Ikki nuqta",
+    "!": "Undov belgisi",
+    '"': "Qoʻshtirnoq"
+  }
+};
+
+const SPELLING_ALIASES = {
+  nato: {
+    alpha: "a",
+    juliet: "j",
+    whisky: "w",
+    three: "3",
+    four: "4",
+    five: "5",
+    nine: "9",
+    decimal: ".",
+    point: ".",
+    dash: "-",
+    slash: "/",
+    space: " "
+  },
+  ru: { один: "1", тире: "-", знак: "ь", пробел: " " },
+  uz: { boʻshliq: " " }
+};
+
+const SPELLING_DECIMALS = { nato: "Decimal" };
+export const SPELLING_SYSTEMS = Object.keys(SPELLING_WORDS);
+const SPELLING_WORD_BREAK = "/";
+
+const normalizeSpellingWord = (word) =>
+  normalizeLetter(word)
+    .replace(/ё/g, "е")
+    .replace(/^[,.;:!?"«»()]+|[,.;:!?"«»()]+$/g, "")
+    .replace(/-/g, "");
+
+const SPELLING_TABLES = Object.fromEntries(
+  SPELLING_SYSTEMS.map((system) => {
+    const words = { ...SPELLING_WORDS.nato, ...SPELLING_WORDS[system] };
+    const decode = [system, ...SPELLING_SYSTEMS.filter((other) => other !== system)]
+      .flatMap((source) => [
+        ...Object.entries(SPELLING_WORDS[source]),
+        ...Object.entries(SPELLING_ALIASES[source]).map(([alias, char]) => [char, alias])
+      ])
+      .reduce((table, [char, word]) => {
+        const key = normalizeSpellingWord(word);
+        return key in table ? table : { ...table, [key]: char };
+      }, {});
+    return [system, { words, decode, alphabet: buildAlphabet(Object.keys(words)) }];
+  })
+);
+
+const spellingEncode = (text, step) => {
+  const { words, alphabet } = SPELLING_TABLES[step.system];
+  const unknown = new Set();
+
+  const lines = text.split("\n").map((line) => {
+    const tokens = tokenizeLetters(line, alphabet);
+    const spelled = [];
+
+    tokens.forEach((token, index) => {
+      if (token.index >= 0) {
+        const char = alphabet.letters[token.index];
+        const isDecimal =
+          char === "." && /\d/.test(tokens[index - 1]?.raw) && /\d/.test(tokens[index + 1]?.raw ?? "");
+        spelled.push((isDecimal && SPELLING_DECIMALS[step.system]) || words[char]);
+      } else if (/\s/.test(token.raw)) {
+        if (spelled.length && spelled[spelled.length - 1] !== SPELLING_WORD_BREAK) {
+          spelled.push(SPELLING_WORD_BREAK);
+        }
+      } else {
+        unknown.add(token.raw);
+        spelled.push(token.raw);
+      }
+    });
+
+    if (spelled[spelled.length - 1] === SPELLING_WORD_BREAK) spelled.pop();
+    return spelled.join(" ");
+  });
+
+  return { output: lines.join("\n"), unknown: [...unknown], parts: [] };
+};
+
+const spellingDecode = (text, step) => {
+  const { decode } = SPELLING_TABLES[step.system];
+  const parts = text.split(/(\s+)/).map((raw) => ({ raw, known: true }));
+  const unknown = new Set();
+  let output = "";
+
+  for (let index = 0; index < parts.length; index += 2) {
+    const word = normalizeSpellingWord(parts[index].raw);
+    if (index > 0 && parts[index - 1].raw.includes("\n")) output += "\n";
+    if (!parts[index].raw) continue;
+
+    const next = parts[index + 2];
+    const phrase =
+      next && !parts[index + 1].raw.includes("\n") ? `${word} ${normalizeSpellingWord(next.raw)}` : "";
+    if (phrase in decode) {
+      output += decode[phrase].toUpperCase();
+      index += 2;
+    } else if (parts[index].raw === SPELLING_WORD_BREAK) {
+      output += " ";
+    } else if (word in decode) {
+      output += decode[word].toUpperCase();
+    } else if (word) {
+      parts[index].known = false;
+      unknown.add(parts[index].raw);
+      output += "\uFFFD";
+    }
+  }
+
+  return { output, unknown: [...unknown], parts };
+};
+
+const runSpelling = (text, step) =>
+  step.mode === "decode" ? spellingDecode(text, step) : spellingEncode(text, step);
+
+export const utf8Encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder("utf-8", { fatal: true });
+
+export const lenientUtf8Decoder = new TextDecoder("utf-8");
+
+const decodeUtf8 = (bytes) => {
+  try {
+    return { text: utf8Decoder.decode(bytes) };
+  } catch {
+    return { text: "", error: "invalidUtf8" };
+  }
+};
+
+export const formatHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join(" ");
+
+const parseHex = (text) => {
+  const compact = text.replace(/[\s:]+/g, "");
+  if (compact.length % 2 !== 0 || /[^0-9a-f]/i.test(compact)) return null;
+  return Uint8Array.from(compact.match(/../g) ?? [], (pair) => parseInt(pair, 16));
+};
+
+export const textValue = (text) => ({ type: "text", text });
+const bytesValue = (bytes) => ({ type: "bytes", bytes });
+
+const toText = (value) => (value.type === "bytes" ? lenientUtf8Decoder.decode(value.bytes) : value.text);
+const toBytes = (value) => (value.type === "bytes" ? value.bytes : utf8Encoder.encode(value.text));
+
+export const isHexDisplay = (value) => value.type === "bytes" && Boolean(decodeUtf8(value.bytes).error);
+
+export const displayValue = (value) => {
+  if (value.type !== "bytes") return value.text;
+  const { text, error } = decodeUtf8(value.bytes);
+  return error ? formatHex(value.bytes) : text;
+};
+
+export const valueSize = (value) => (value.type === "bytes" ? value.bytes.length : value.text.length);
+
+export const BASE64_ALPHABETS = {
+  standard: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/",
+  url: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_"
+};
+
+export const BASE32_ALPHABETS = {
+  rfc4648: "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567",
+  crockford: "0123456789ABCDEFGHJKMNPQRSTVWXYZ"
+};
+
+export const ASCII85_ALPHABETS = {
+  adobe: Array.from({ length: 85 }, (_, index) => String.fromCharCode(33 + index)).join(""),
+  z85: "0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ.-:+=^!/*?&<>()[]{}@%$#"
+};
+
+const encodeBitGroups = (bytes, alphabet, bitsPerChar) => {
+  const mask = (1 << bitsPerChar) - 1;
+  let buffer = 0;
+  let bits = 0;
+  let output = "";
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= bitsPerChar) {
+      output += alphabet[(buffer >> (bits - bitsPerChar)) & mask];
+      bits -= bitsPerChar;
+      buffer &= (1 << bits) - 1;
+    }
+  }
+  if (bits > 0) output += alphabet[(buffer << (bitsPerChar - bits)) & mask];
+
+  return output;
+};
+
+const decodeBitGroups = (chars, lookup, bitsPerChar) => {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const char of chars) {
+    const value = lookup.get(char);
+    if (value === undefined) return null;
+    buffer = (buffer << bitsPerChar) | value;
+    bits += bitsPerChar;
+    if (bits >= 8) {
+      bytes.push((buffer >> (bits - 8)) & 0xff);
+      bits -= 8;
+      buffer &= (1 << bits) - 1;
+    }
+  }
+
+  return bits >= bitsPerChar ? null : Uint8Array.from(bytes);
+};
+
+const toLookup = (alphabet) => new Map(Array.from(alphabet, (char, index) => [char, index]));
+
+const padTo = (text, blockSize) =>
+  text.length % blockSize ? text.padEnd(text.length + blockSize - (text.length % blockSize), "=") : text;
+
+const stripPadding = (text, blockSize) => {
+  const body = text.replace(/=+$/, "");
+  if (body.includes("=")) return null;
+  if (body.length !== text.length && text.length % blockSize !== 0) return null;
+  return body;
+};
+
+export const base64Encode = (bytes, variant, padding) => {
+  const encoded = encodeBitGroups(bytes, BASE64_ALPHABETS[variant] ?? BASE64_ALPHABETS.standard, 6);
+  return padding ? padTo(encoded, 4) : encoded;
+};
+
+export const base64Decode = (text, variant) => {
+  const body = stripPadding(text.replace(/\s+/g, ""), 4);
+  if (body === null) return null;
+  return decodeBitGroups(body, toLookup(BASE64_ALPHABETS[variant] ?? BASE64_ALPHABETS.standard), 6);
+};
+
+const base32Encode = (bytes, variant, padding) => {
+  const encoded = encodeBitGroups(bytes, BASE32_ALPHABETS[variant] ?? BASE32_ALPHABETS.rfc4648, 5);
+  return padding && variant !== "crockford" ? padTo(encoded, 8) : encoded;
+};
+
+const base32Decode = (text, variant) => {
+  const compact = text.replace(/\s+/g, "").toUpperCase();
+  if (variant === "crockford") {
+    const normalized = compact.replace(/-/g, "").replace(/[IL]/g, "1").replace(/O/g, "0");
+    return decodeBitGroups(normalized, toLookup(BASE32_ALPHABETS.crockford), 5);
+  }
+
+  const body = stripPadding(compact, 8);
+  if (body === null) return null;
+  return decodeBitGroups(body, toLookup(BASE32_ALPHABETS.rfc4648), 5);
+};
+
+const ascii85Encode = (bytes, variant, delimiters) => {
+  const alphabet = ASCII85_ALPHABETS[variant] ?? ASCII85_ALPHABETS.adobe;
+  let output = "";
+
+  for (let offset = 0; offset < bytes.length; offset += 4) {
+    const group = bytes.slice(offset, offset + 4);
+    const padded = [...group, 0, 0, 0].slice(0, 4);
+    let value = ((padded[0] << 24) | (padded[1] << 16) | (padded[2] << 8) | padded[3]) >>> 0;
+
+    if (variant !== "z85" && group.length === 4 && value === 0) {
+      output += "z";
+      continue;
+    }
+
+    const digits = Array(5);
+    for (let index = 4; index >= 0; index -= 1) {
+      digits[index] = alphabet[value % 85];
+      value = Math.floor(value / 85);
+    }
+    output += digits.slice(0, group.length + 1).join("");
+  }
+
+  return variant !== "z85" && delimiters ? `<~${output}~>` : output;
+};
+
+const ascii85Decode = (text, variant) => {
+  const isZ85 = variant === "z85";
+  const lookup = toLookup(ASCII85_ALPHABETS[variant] ?? ASCII85_ALPHABETS.adobe);
+  let body = text.replace(/\s+/g, "");
+  if (!isZ85) body = body.replace(/^<~/, "").replace(/~>$/, "");
+
+  const bytes = [];
+  let group = [];
+  const flush = (size) => {
+    const digits = [...group, 84, 84, 84, 84].slice(0, 5);
+    const value = digits.reduce((total, digit) => total * 85 + digit, 0);
+    if (value > 0xffffffff) return false;
+    bytes.push(...[value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff].slice(0, size));
+    group = [];
+    return true;
+  };
+
+  for (const char of body) {
+    if (!isZ85 && char === "z" && group.length === 0) {
+      bytes.push(0, 0, 0, 0);
+      continue;
+    }
+    const digit = lookup.get(char);
+    if (digit === undefined) return null;
+    group.push(digit);
+    if (group.length === 5 && !flush(4)) return null;
+  }
+
+  if (group.length === 1) return null;
+  if (group.length && !flush(group.length - 1)) return null;
+  return Uint8Array.from(bytes);
+};
+
+export const BASE_ENCODINGS = {
+  base64: { encode: base64Encode, decode: base64Decode, option: "padding" },
+  base32: { encode: base32Encode, decode: base32Decode, option: "padding" },
+  ascii85: { encode: ascii85Encode, decode: ascii85Decode, option: "delimiters" }
+};
+
+const runBaseEncoding = (input, step) => {
+  const encoding = BASE_ENCODINGS[step.type];
+  if (step.mode !== "decode") {
+    return { output: encoding.encode(input, step.variant, step[encoding.option]) };
+  }
+
+  const bytes = encoding.decode(input, step.variant);
+  return bytes ? { output: bytes } : { output: new Uint8Array(0), error: "invalidEncoding" };
+};
+
+const rotl32 = (value, count) => (value << count) | (value >>> (32 - count));
+
+const rotl64Hi = (hi, lo, count) => {
+  if (count === 0) return hi;
+  if (count < 32) return (hi << count) | (lo >>> (32 - count));
+  if (count === 32) return lo;
+  return (lo << (count - 32)) | (hi >>> (64 - count));
+};
+
+const rotl64Lo = (hi, lo, count) => {
+  if (count === 0) return lo;
+  if (count < 32) return (lo << count) | (hi >>> (32 - count));
+  if (count === 32) return hi;
+  return (hi << (count - 32)) | (lo >>> (64 - count));
+};
+
+const firstPrimes = (count) => {
+  const primes = [];
+  for (let candidate = 2; primes.length < count; candidate += 1) {
+    if (primes.every((prime) => candidate % prime !== 0)) primes.push(candidate);
+  }
+  return primes;
+};
+
+const integerRoot = (value, degree) => {
+  const power = BigInt(degree);
+  let root = BigInt(Math.floor(Number(value) ** (1 / degree)));
+  for (;;) {
+    const next = ((power - 1n) * root + value / root ** (power - 1n)) / power;
+    if (next >= root - 1n && next <= root + 1n) break;
+    root = next;
+  }
+  while (root ** power > value) root -= 1n;
+  while ((root + 1n) ** power <= value) root += 1n;
+  return root;
+};
+
+const rootFractionWords = (primes, degree, bits) =>
+  primes.map((prime) => {
+    const fraction = integerRoot(BigInt(prime) << BigInt(degree * bits), degree) & ((1n << BigInt(bits)) - 1n);
+    return bits === 32 ? [Number(fraction)] : [Number(fraction >> 32n), Number(fraction & 0xffffffffn)];
+  });
+
+const PRIMES = firstPrimes(80);
+const SHA256_K = Uint32Array.from(rootFractionWords(PRIMES.slice(0, 64), 3, 32).flat());
+const SHA256_IV = rootFractionWords(PRIMES.slice(0, 8), 2, 32).flat();
+const SHA512_K = Int32Array.from(rootFractionWords(PRIMES, 3, 64).flat());
+const SHA512_IV = rootFractionWords(PRIMES.slice(0, 8), 2, 64).flat();
+const SHA384_IV = rootFractionWords(PRIMES.slice(8, 16), 2, 64).flat();
+const SHA224_IV = SHA384_IV.filter((_, index) => index % 2 === 1);
+
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_K = Array.from({ length: 64 }, (_, index) => Math.floor(Math.abs(Math.sin(index + 1)) * 2 ** 32) | 0);
+
+const padMessage = (bytes, blockSize, littleEndian) => {
+  const lengthBytes = blockSize / 8;
+  const total = Math.ceil((bytes.length + 1 + lengthBytes) / blockSize) * blockSize;
+  const padded = new Uint8Array(total);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+
+  const view = new DataView(padded.buffer);
+  const high = Math.floor(bytes.length / 0x20000000);
+  const low = (bytes.length << 3) >>> 0;
+  if (littleEndian) {
+    view.setUint32(total - 8, low, true);
+    view.setUint32(total - 4, high, true);
+  } else {
+    view.setUint32(total - 8, high);
+    view.setUint32(total - 4, low);
+  }
+  return view;
+};
+
+const wordsToBytes = (words, littleEndian, byteLength = words.length * 4) => {
+  const view = new DataView(new ArrayBuffer(words.length * 4));
+  words.forEach((word, index) => view.setUint32(index * 4, word >>> 0, littleEndian));
+  return new Uint8Array(view.buffer, 0, byteLength);
+};
+
+const md5 = (bytes) => {
+  const view = padMessage(bytes, 64, true);
+  const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  const block = new Int32Array(16);
+
+  for (let offset = 0; offset < view.byteLength; offset += 64) {
+    for (let index = 0; index < 16; index += 1) block[index] = view.getInt32(offset + index * 4, true);
+    let [a, b, c, d] = state;
+
+    for (let round = 0; round < 64; round += 1) {
+      let mixed;
+      let wordIndex;
+      if (round < 16) {
+        mixed = (b & c) | (~b & d);
+        wordIndex = round;
+      } else if (round < 32) {
+        mixed = (d & b) | (~d & c);
+        wordIndex = (5 * round + 1) % 16;
+      } else if (round < 48) {
+        mixed = b ^ c ^ d;
+        wordIndex = (3 * round + 5) % 16;
+      } else {
+        mixed = c ^ (b | ~d);
+        wordIndex = (7 * round) % 16;
+      }
+      const next = d;
+      d = c;
+      c = b;
+      b = (b + rotl32((a + mixed + MD5_K[round] + block[wordIndex]) | 0, MD5_SHIFTS[(round >> 4) * 4 + (round % 4)])) | 0;
+      a = next;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+  }
+
+  return wordsToBytes(state, true);
+};
+
+const sha1 = (bytes) => {
+  const view = padMessage(bytes, 64, false);
+  const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+  const schedule = new Int32Array(80);
+
+  for (let offset = 0; offset < view.byteLength; offset += 64) {
+    for (let index = 0; index < 16; index += 1) schedule[index] = view.getInt32(offset + index * 4);
+    for (let index = 16; index < 80; index += 1) {
+      schedule[index] = rotl32(
+        schedule[index - 3] ^ schedule[index - 8] ^ schedule[index - 14] ^ schedule[index - 16],
+        1
+      );
+    }
+
+    let [a, b, c, d, e] = state;
+    for (let round = 0; round < 80; round += 1) {
+      let mixed;
+      let constant;
+      if (round < 20) {
+        mixed = (b & c) | (~b & d);
+        constant = 0x5a827999;
+      } else if (round < 40) {
+        mixed = b ^ c ^ d;
+        constant = 0x6ed9eba1;
+      } else if (round < 60) {
+        mixed = (b & c) | (b & d) | (c & d);
+        constant = 0x8f1bbcdc;
+      } else {
+        mixed = b ^ c ^ d;
+        constant = 0xca62c1d6;
+      }
+      const next = (rotl32(a, 5) + mixed + e + constant + schedule[round]) | 0;
+      e = d;
+      d = c;
+      c = rotl32(b, 30);
+      b = a;
+      a = next;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+    state[4] = (state[4] + e) | 0;
+  }
+
+  return wordsToBytes(state, false);
+};
+
+const rotr32 = (value, count) => (value >>> count) | (value << (32 - count));
+
+const sha256Family = (bytes, initial, outputLength) => {
+  const view = padMessage(bytes, 64, false);
+  const state = [...initial];
+  const schedule = new Int32Array(64);
+
+  for (let offset = 0; offset < view.byteLength; offset += 64) {
+    for (let index = 0; index < 16; index += 1) schedule[index] = view.getInt32(offset + index * 4);
+    for (let index = 16; index < 64; index += 1) {
+      const low = schedule[index - 15];
+      const high = schedule[index - 2];
+      const sigma0 = rotr32(low, 7) ^ rotr32(low, 18) ^ (low >>> 3);
+      const sigma1 = rotr32(high, 17) ^ rotr32(high, 19) ^ (high >>> 10);
+      schedule[index] = (schedule[index - 16] + sigma0 + schedule[index - 7] + sigma1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = state;
+    for (let round = 0; round < 64; round += 1) {
+      const sum1 = rotr32(e, 6) ^ rotr32(e, 11) ^ rotr32(e, 25);
+      const choice = (e & f) ^ (~e & g);
+      const temp1 = (h + sum1 + choice + SHA256_K[round] + schedule[round]) | 0;
+      const sum0 = rotr32(a, 2) ^ rotr32(a, 13) ^ rotr32(a, 22);
+      const majority = (a & b) ^ (a & c) ^ (b & c);
+      h = g;
+      g = f;
+      f = e;
+      e = (d + temp1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (temp1 + sum0 + majority) | 0;
+    }
+
+    [a, b, c, d, e, f, g, h].forEach((value, index) => {
+      state[index] = (state[index] + value) | 0;
+    });
+  }
+
+  return wordsToBytes(state, false, outputLength);
+};
+
+const sha512Family = (bytes, initial, outputLength) => {
+  const view = padMessage(bytes, 128, false);
+  const state = Int32Array.from(initial);
+  const scheduleHi = new Int32Array(80);
+  const scheduleLo = new Int32Array(80);
+  const carry = (lo) => Math.floor(lo / 0x100000000);
+
+  for (let offset = 0; offset < view.byteLength; offset += 128) {
+    for (let index = 0; index < 16; index += 1) {
+      scheduleHi[index] = view.getInt32(offset + index * 8);
+      scheduleLo[index] = view.getInt32(offset + index * 8 + 4);
+    }
+    for (let index = 16; index < 80; index += 1) {
+      const lowHi = scheduleHi[index - 15];
+      const lowLo = scheduleLo[index - 15];
+      const highHi = scheduleHi[index - 2];
+      const highLo = scheduleLo[index - 2];
+      const sigma0Hi = rotl64Hi(lowHi, lowLo, 63) ^ rotl64Hi(lowHi, lowLo, 56) ^ (lowHi >>> 7);
+      const sigma0Lo = rotl64Lo(lowHi, lowLo, 63) ^ rotl64Lo(lowHi, lowLo, 56) ^ ((lowLo >>> 7) | (lowHi << 25));
+      const sigma1Hi = rotl64Hi(highHi, highLo, 45) ^ rotl64Hi(highHi, highLo, 3) ^ (highHi >>> 6);
+      const sigma1Lo = rotl64Lo(highHi, highLo, 45) ^ rotl64Lo(highHi, highLo, 3) ^ ((highLo >>> 6) | (highHi << 26));
+      const lo = (scheduleLo[index - 16] >>> 0) + (sigma0Lo >>> 0) + (scheduleLo[index - 7] >>> 0) + (sigma1Lo >>> 0);
+      scheduleHi[index] = (scheduleHi[index - 16] + sigma0Hi + scheduleHi[index - 7] + sigma1Hi + carry(lo)) | 0;
+      scheduleLo[index] = lo | 0;
+    }
+
+    let [aHi, aLo, bHi, bLo, cHi, cLo, dHi, dLo, eHi, eLo, fHi, fLo, gHi, gLo, hHi, hLo] = state;
+    for (let round = 0; round < 80; round += 1) {
+      const sum1Hi = rotl64Hi(eHi, eLo, 50) ^ rotl64Hi(eHi, eLo, 46) ^ rotl64Hi(eHi, eLo, 23);
+      const sum1Lo = rotl64Lo(eHi, eLo, 50) ^ rotl64Lo(eHi, eLo, 46) ^ rotl64Lo(eHi, eLo, 23);
+      const choiceHi = (eHi & fHi) ^ (~eHi & gHi);
+      const choiceLo = (eLo & fLo) ^ (~eLo & gLo);
+      const temp1Lo =
+        (hLo >>> 0) + (sum1Lo >>> 0) + (choiceLo >>> 0) + (SHA512_K[round * 2 + 1] >>> 0) + (scheduleLo[round] >>> 0);
+      const temp1Hi = (hHi + sum1Hi + choiceHi + SHA512_K[round * 2] + scheduleHi[round] + carry(temp1Lo)) | 0;
+      const sum0Hi = rotl64Hi(aHi, aLo, 36) ^ rotl64Hi(aHi, aLo, 30) ^ rotl64Hi(aHi, aLo, 25);
+      const sum0Lo = rotl64Lo(aHi, aLo, 36) ^ rotl64Lo(aHi, aLo, 30) ^ rotl64Lo(aHi, aLo, 25);
+      const majorityHi = (aHi & bHi) ^ (aHi & cHi) ^ (bHi & cHi);
+      const majorityLo = (aLo & bLo) ^ (aLo & cLo) ^ (bLo & cLo);
+      const newELo = (dLo >>> 0) + (temp1Lo >>> 0);
+      const newALo = (temp1Lo >>> 0) + (sum0Lo >>> 0) + (majorityLo >>> 0);
+
+      hHi = gHi;
+      hLo = gLo;
+      gHi = fHi;
+      gLo = fLo;
+      fHi = eHi;
+      fLo = eLo;
+      eHi = (dHi + temp1Hi + carry(newELo)) | 0;
+      eLo = newELo | 0;
+      dHi = cHi;
+      dLo = cLo;
+      cHi = bHi;
+      cLo = bLo;
+      bHi = aHi;
+      bLo = aLo;
+      aHi = (temp1Hi + sum0Hi + majorityHi + carry(newALo)) | 0;
+      aLo = newALo | 0;
+    }
+
+    const words = [aHi, aLo, bHi, bLo, cHi, cLo, dHi, dLo, eHi, eLo, fHi, fLo, gHi, gLo, hHi, hLo];
+    for (let index = 0; index < 16; index += 2) {
+      const lo = (state[index + 1] >>> 0) + (words[index + 1] >>> 0);
+      state[index] = (state[index] + words[index] + carry(lo)) | 0;
+      state[index + 1] = lo | 0;
+    }
+  }
+
+  return wordsToBytes(Array.from(state), false, outputLength);
+};
+
+const KECCAK_ROUND_CONSTANTS = (() => {
+  const constants = [];
+  let lfsr = 1;
+  for (let round = 0; round < 24; round += 1) {
+    let hi = 0;
+    let lo = 0;
+    for (let bit = 0; bit < 7; bit += 1) {
+      const position = (1 << bit) - 1;
+      if (lfsr & 1) {
+        if (position < 32) lo ^= 1 << position;
+        else hi ^= 1 << (position - 32);
+      }
+      lfsr = lfsr & 0x80 ? ((lfsr << 1) ^ 0x71) & 0xff : (lfsr << 1) & 0xff;
+    }
+    constants.push(hi, lo);
+  }
+  return Int32Array.from(constants);
+})();
+
+const KECCAK_RHO = (() => {
+  const rotations = new Int32Array(25);
+  let x = 1;
+  let y = 0;
+  for (let step = 0; step < 24; step += 1) {
+    rotations[x + 5 * y] = (((step + 1) * (step + 2)) / 2) % 64;
+    [x, y] = [y, (2 * x + 3 * y) % 5];
+  }
+  return rotations;
+})();
+
+const KECCAK_PI = Int32Array.from({ length: 25 }, (_, source) => {
+  const x = source % 5;
+  const y = Math.floor(source / 5);
+  return y + 5 * ((2 * x + 3 * y) % 5);
+});
+
+const keccakPermute = (lanes, columnHi, columnLo, moved) => {
+  for (let round = 0; round < 24; round += 1) {
+    for (let x = 0; x < 5; x += 1) {
+      columnHi[x] = lanes[x * 2] ^ lanes[x * 2 + 10] ^ lanes[x * 2 + 20] ^ lanes[x * 2 + 30] ^ lanes[x * 2 + 40];
+      columnLo[x] = lanes[x * 2 + 1] ^ lanes[x * 2 + 11] ^ lanes[x * 2 + 21] ^ lanes[x * 2 + 31] ^ lanes[x * 2 + 41];
+    }
+    for (let x = 0; x < 5; x += 1) {
+      const left = (x + 4) % 5;
+      const right = (x + 1) % 5;
+      const deltaHi = columnHi[left] ^ ((columnHi[right] << 1) | (columnLo[right] >>> 31));
+      const deltaLo = columnLo[left] ^ ((columnLo[right] << 1) | (columnHi[right] >>> 31));
+      for (let lane = x * 2; lane < 50; lane += 10) {
+        lanes[lane] ^= deltaHi;
+        lanes[lane + 1] ^= deltaLo;
+      }
+    }
+
+    for (let source = 0; source < 25; source += 1) {
+      const target = KECCAK_PI[source] * 2;
+      const rotation = KECCAK_RHO[source];
+      const hi = lanes[source * 2];
+      const lo = lanes[source * 2 + 1];
+      if (rotation === 0) {
+        moved[target] = hi;
+        moved[target + 1] = lo;
+      } else if (rotation < 32) {
+        moved[target] = (hi << rotation) | (lo >>> (32 - rotation));
+        moved[target + 1] = (lo << rotation) | (hi >>> (32 - rotation));
+      } else {
+        moved[target] = (lo << (rotation - 32)) | (hi >>> (64 - rotation));
+        moved[target + 1] = (hi << (rotation - 32)) | (lo >>> (64 - rotation));
+      }
+    }
+
+    for (let row = 0; row < 50; row += 10) {
+      for (let x = 0; x < 10; x += 2) {
+        const next = row + ((x + 2) % 10);
+        const after = row + ((x + 4) % 10);
+        lanes[row + x] = moved[row + x] ^ (~moved[next] & moved[after]);
+        lanes[row + x + 1] = moved[row + x + 1] ^ (~moved[next + 1] & moved[after + 1]);
+      }
+    }
+
+    lanes[0] ^= KECCAK_ROUND_CONSTANTS[round * 2];
+    lanes[1] ^= KECCAK_ROUND_CONSTANTS[round * 2 + 1];
+  }
+};
+
+const sha3 = (bytes, outputLength) => {
+  const rate = 200 - 2 * outputLength;
+  const total = Math.floor(bytes.length / rate) * rate + rate;
+  const padded = new Uint8Array(total);
+  padded.set(bytes);
+  padded[bytes.length] ^= 0x06;
+  padded[total - 1] ^= 0x80;
+
+  const view = new DataView(padded.buffer);
+  const lanes = new Int32Array(50);
+  const columnHi = new Int32Array(5);
+  const columnLo = new Int32Array(5);
+  const moved = new Int32Array(50);
+  for (let offset = 0; offset < total; offset += rate) {
+    for (let lane = 0; lane < rate / 8; lane += 1) {
+      lanes[lane * 2 + 1] ^= view.getInt32(offset + lane * 8, true);
+      lanes[lane * 2] ^= view.getInt32(offset + lane * 8 + 4, true);
+    }
+    keccakPermute(lanes, columnHi, columnLo, moved);
+  }
+
+  const output = new DataView(new ArrayBuffer(Math.ceil(outputLength / 8) * 8));
+  for (let lane = 0; lane < output.byteLength / 8; lane += 1) {
+    output.setInt32(lane * 8, lanes[lane * 2 + 1], true);
+    output.setInt32(lane * 8 + 4, lanes[lane * 2], true);
+  }
+  return new Uint8Array(output.buffer, 0, outputLength);
+};
+
+export const HASH_ALGORITHMS = {
+  md5,
+  sha1,
+  sha224: (bytes) => sha256Family(bytes, SHA224_IV, 28),
+  sha256: (bytes) => sha256Family(bytes, SHA256_IV, 32),
+  sha384: (bytes) => sha512Family(bytes, SHA384_IV, 48),
+  sha512: (bytes) => sha512Family(bytes, SHA512_IV, 64),
+  "sha3-256": (bytes) => sha3(bytes, 32),
+  "sha3-512": (bytes) => sha3(bytes, 64)
+};
+
+export const HASH_NAMES = {
+  md5: "MD5",
+  sha1: "SHA-1",
+  sha224: "SHA-224",
+  sha256: "SHA-256",
+  sha384: "SHA-384",
+  sha512: "SHA-512",
+  "sha3-256": "SHA3-256",
+  "sha3-512": "SHA3-512"
+};
+
+export const HASH_FORMATS = ["hex", "hex-upper", "base64"];
+
+const sameBytes = (left, right) =>
+  left === right || (left.length === right.length && left.every((byte, index) => byte === right[index]));
+
+const formatBytes = (bytes, format) => {
+  if (format === "base64") return base64Encode(bytes, "standard", true);
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+  return format === "hex-upper" ? hex.toUpperCase() : hex;
+};
+
+export const BYTE_FORMATS = ["text", "hex", "base64"];
+
+const parseBytes = (text, format) => {
+  if (format === "hex") return parseHex(text);
+  if (format === "base64") return base64Decode(text, "standard") ?? base64Decode(text, "url");
+  return utf8Encoder.encode(text);
+};
+
+export const HMAC_BLOCK_SIZES = { sha1: 64, sha256: 64, sha384: 128, sha512: 128, md5: 64 };
+
+const hmac = (key, message, algorithm) => {
+  const hash = HASH_ALGORITHMS[algorithm];
+  const blockSize = HMAC_BLOCK_SIZES[algorithm];
+  const block = new Uint8Array(blockSize);
+  block.set(key.length > blockSize ? hash(key) : key);
+
+  const inner = new Uint8Array(blockSize + message.length);
+  inner.set(block.map((byte) => byte ^ 0x36));
+  inner.set(message, blockSize);
+  const innerDigest = hash(inner);
+
+  const outer = new Uint8Array(blockSize + innerDigest.length);
+  outer.set(block.map((byte) => byte ^ 0x5c));
+  outer.set(innerDigest, blockSize);
+  return hash(outer);
+};
+
+const parseMac = (text) => {
+  const compact = text.trim().replace(/^[a-z0-9-]+=(?=[^=])/i, "");
+  return parseHex(compact) ?? base64Decode(compact, "standard") ?? base64Decode(compact, "url");
+};
+
+const runHmac = (input, step) => {
+  const key = parseBytes(step.key, step.keyFormat);
+  if (!key) return { digest: null, error: "invalidKey" };
+
+  const digest = hmac(key, input, step.algorithm);
+  if (!step.expected.trim()) return { digest, verified: null };
+
+  const expected = parseMac(step.expected);
+  if (!expected) return { digest, error: "invalidMac", verified: null };
+  return { digest, verified: sameBytes(expected, digest) };
+};
+
+const xtime = (byte) => ((byte << 1) ^ (byte & 0x80 ? 0x1b : 0)) & 0xff;
+
+const gfMultiply = (left, right) => {
+  let product = 0;
+  for (let a = left, b = right; b; b >>= 1, a = xtime(a)) {
+    if (b & 1) product ^= a;
+  }
+  return product;
+};
+
+const GF_TABLES = Array.from({ length: 15 }, (_, factor) =>
+  Uint8Array.from({ length: 256 }, (_, byte) => gfMultiply(byte, factor))
+);
+
+const AES_SBOX = new Uint8Array(256);
+const AES_INV_SBOX = new Uint8Array(256);
+
+for (let value = 0; value < 256; value += 1) {
+  let inverse = 0;
+  for (let candidate = 1; value && !inverse; candidate += 1) {
+    if (gfMultiply(value, candidate) === 1) inverse = candidate;
+  }
+  let substituted = inverse;
+  for (let shift = 1; shift < 5; shift += 1) {
+    substituted ^= ((inverse << shift) | (inverse >> (8 - shift))) & 0xff;
+  }
+  AES_SBOX[value] = substituted ^ 0x63;
+  AES_INV_SBOX[substituted ^ 0x63] = value;
+}
+
+const AES_BLOCK_SIZE = 16;
+export const AES_KEY_SIZES = [128, 192, 256];
+export const AES_BLOCK_MODES = ["ecb", "cbc", "ctr", "gcm"];
+const GCM_TAG_LENGTHS = [12, 13, 14, 15, 16];
+
+const expandAesKey = (key) => {
+  const keyWords = key.length / 4;
+  const rounds = keyWords + 6;
+  const schedule = new Uint8Array(AES_BLOCK_SIZE * (rounds + 1));
+  schedule.set(key);
+
+  let roundConstant = 1;
+  for (let word = keyWords; word < 4 * (rounds + 1); word += 1) {
+    let temp = Array.from(schedule.subarray((word - 1) * 4, word * 4));
+    if (word % keyWords === 0) {
+      temp = [AES_SBOX[temp[1]] ^ roundConstant, AES_SBOX[temp[2]], AES_SBOX[temp[3]], AES_SBOX[temp[0]]];
+      roundConstant = xtime(roundConstant);
+    } else if (keyWords > 6 && word % keyWords === 4) {
+      temp = temp.map((byte) => AES_SBOX[byte]);
+    }
+    temp.forEach((byte, index) => {
+      schedule[word * 4 + index] = schedule[(word - keyWords) * 4 + index] ^ byte;
+    });
+  }
+
+  return { schedule, rounds };
+};
+
+const SHIFT_ROWS = Uint8Array.from({ length: AES_BLOCK_SIZE }, (_, index) => (index + 4 * (index % 4)) % 16);
+const INV_SHIFT_ROWS = Uint8Array.from({ length: AES_BLOCK_SIZE }, (_, index) => (index + 12 * (index % 4)) % 16);
+const MIX_TABLES = [2, 3, 1, 1].map((factor) => GF_TABLES[factor]);
+const INV_MIX_TABLES = [14, 11, 13, 9].map((factor) => GF_TABLES[factor]);
+
+const addRoundKey = (state, schedule, round) => {
+  for (let index = 0; index < AES_BLOCK_SIZE; index += 1) state[index] ^= schedule[round * AES_BLOCK_SIZE + index];
+};
+
+const mixColumns = (source, target, [first, second, third, fourth]) => {
+  for (let column = 0; column < AES_BLOCK_SIZE; column += 4) {
+    for (let row = 0; row < 4; row += 1) {
+      target[column + row] =
+        first[source[column + row]] ^
+        second[source[column + ((row + 1) % 4)]] ^
+        third[source[column + ((row + 2) % 4)]] ^
+        fourth[source[column + ((row + 3) % 4)]];
+    }
+  }
+};
+
+const encryptAesBlock = (block, { schedule, rounds }) => {
+  const state = Uint8Array.from(block);
+  const moved = new Uint8Array(AES_BLOCK_SIZE);
+  addRoundKey(state, schedule, 0);
+  for (let round = 1; round <= rounds; round += 1) {
+    for (let index = 0; index < AES_BLOCK_SIZE; index += 1) moved[index] = AES_SBOX[state[SHIFT_ROWS[index]]];
+    if (round < rounds) mixColumns(moved, state, MIX_TABLES);
+    else state.set(moved);
+    addRoundKey(state, schedule, round);
+  }
+  return state;
+};
+
+const decryptAesBlock = (block, { schedule, rounds }) => {
+  const state = Uint8Array.from(block);
+  const moved = new Uint8Array(AES_BLOCK_SIZE);
+  addRoundKey(state, schedule, rounds);
+  for (let round = rounds - 1; round >= 0; round -= 1) {
+    for (let index = 0; index < AES_BLOCK_SIZE; index += 1) moved[index] = AES_INV_SBOX[state[INV_SHIFT_ROWS[index]]];
+    addRoundKey(moved, schedule, round);
+    if (round > 0) mixColumns(moved, state, INV_MIX_TABLES);
+    else state.set(moved);
+  }
+  return state;
+};
+
+const xorBytes = (left, right) => left.map((byte, index) => byte ^ right[index]);
+
+const pkcs7Pad = (bytes) => {
+  const count = AES_BLOCK_SIZE - (bytes.length % AES_BLOCK_SIZE);
+  const padded = new Uint8Array(bytes.length + count);
+  padded.set(bytes);
+  padded.fill(count, bytes.length);
+  return padded;
+};
+
+const pkcs7Unpad = (bytes) => {
+  const count = bytes[bytes.length - 1];
+  if (!count || count > AES_BLOCK_SIZE || count > bytes.length) return null;
+  if (bytes.subarray(bytes.length - count).some((byte) => byte !== count)) return null;
+  return bytes.slice(0, bytes.length - count);
+};
+
+const incrementCounter = (counter, from = 0) => {
+  const next = Uint8Array.from(counter);
+  for (let index = AES_BLOCK_SIZE - 1; index >= from; index -= 1) {
+    next[index] = (next[index] + 1) & 0xff;
+    if (next[index]) break;
+  }
+  return next;
+};
+
+const aesCtr = (bytes, key, counter, from = 0) => {
+  const output = new Uint8Array(bytes.length);
+  let block = counter;
+  for (let offset = 0; offset < bytes.length; offset += AES_BLOCK_SIZE) {
+    const stream = encryptAesBlock(block, key);
+    for (let index = offset; index < Math.min(offset + AES_BLOCK_SIZE, bytes.length); index += 1) {
+      output[index] = bytes[index] ^ stream[index - offset];
+    }
+    block = incrementCounter(block, from);
+  }
+  return output;
+};
+
+const aesBlocks = (bytes, transform) => {
+  const output = new Uint8Array(bytes.length);
+  for (let offset = 0; offset < bytes.length; offset += AES_BLOCK_SIZE) {
+    output.set(transform(bytes.subarray(offset, offset + AES_BLOCK_SIZE), offset), offset);
+  }
+  return output;
+};
+
+const ghashMultiply = (left, right) => {
+  const factor = new DataView(right.buffer, right.byteOffset, AES_BLOCK_SIZE);
+  let [v0, v1, v2, v3] = [0, 4, 8, 12].map((offset) => factor.getUint32(offset));
+  let [z0, z1, z2, z3] = [0, 0, 0, 0];
+
+  for (let bit = 0; bit < 128; bit += 1) {
+    if (left[bit >> 3] & (0x80 >> (bit & 7))) {
+      z0 ^= v0;
+      z1 ^= v1;
+      z2 ^= v2;
+      z3 ^= v3;
+    }
+    const reduce = v3 & 1;
+    v3 = (v3 >>> 1) | (v2 << 31);
+    v2 = (v2 >>> 1) | (v1 << 31);
+    v1 = (v1 >>> 1) | (v0 << 31);
+    v0 = (v0 >>> 1) ^ (reduce ? 0xe1000000 : 0);
+  }
+
+  const product = new DataView(new ArrayBuffer(AES_BLOCK_SIZE));
+  [z0, z1, z2, z3].forEach((word, index) => product.setUint32(index * 4, word >>> 0));
+  return new Uint8Array(product.buffer);
+};
+
+const ghash = (hashKey, ...sections) => {
+  let digest = new Uint8Array(AES_BLOCK_SIZE);
+  const absorb = (block) => {
+    digest = ghashMultiply(xorBytes(digest, block), hashKey);
+  };
+
+  sections.forEach((bytes) => {
+    for (let offset = 0; offset < bytes.length; offset += AES_BLOCK_SIZE) {
+      const block = new Uint8Array(AES_BLOCK_SIZE);
+      block.set(bytes.subarray(offset, offset + AES_BLOCK_SIZE));
+      absorb(block);
+    }
+  });
+
+  const lengths = new DataView(new ArrayBuffer(AES_BLOCK_SIZE));
+  sections.slice(-2).forEach((bytes, index) => {
+    lengths.setUint32(index * 8, Math.floor(bytes.length / 0x20000000));
+    lengths.setUint32(index * 8 + 4, (bytes.length << 3) >>> 0);
+  });
+  absorb(new Uint8Array(lengths.buffer));
+  return digest;
+};
+
+const gcmSetup = (key, nonce) => {
+  const hashKey = encryptAesBlock(new Uint8Array(AES_BLOCK_SIZE), key);
+  if (nonce.length === 12) {
+    const counter = new Uint8Array(AES_BLOCK_SIZE);
+    counter.set(nonce);
+    counter[15] = 1;
+    return { hashKey, counter };
+  }
+  return { hashKey, counter: ghash(hashKey, new Uint8Array(0), nonce) };
+};
+
+const gcmTag = (key, hashKey, counter, aad, ciphertext) =>
+  xorBytes(encryptAesBlock(counter, key), ghash(hashKey, aad, ciphertext));
+
+const readAesParams = (step) => {
+  const keyBytes = parseBytes(step.key, step.keyFormat);
+  if (!keyBytes || keyBytes.length * 8 !== Number(step.keySize)) return { error: "invalidKeyLength" };
+  if (step.blockMode === "ecb") return { key: expandAesKey(keyBytes) };
+
+  const iv = parseBytes(step.iv, step.ivFormat);
+  const validIv = step.blockMode === "gcm" ? iv?.length > 0 : iv?.length === AES_BLOCK_SIZE;
+  if (!validIv) return { error: "invalidIvLength" };
+  return { key: expandAesKey(keyBytes), iv };
+};
+
+const runAes = (input, step) => {
+  const { key, iv, error } = readAesParams(step);
+  if (error) return { output: new Uint8Array(0), error };
+  const decrypting = step.mode === "decode";
+  if (decrypting && !input.length) return { output: input };
+
+  if (step.blockMode === "ctr") return { output: aesCtr(input, key, iv) };
+
+  if (step.blockMode === "gcm") {
+    const { hashKey, counter } = gcmSetup(key, iv);
+    const aad = utf8Encoder.encode(step.aad);
+    const start = incrementCounter(counter, 12);
+
+    if (!decrypting) {
+      const ciphertext = aesCtr(input, key, start, 12);
+      const tag = gcmTag(key, hashKey, counter, aad, ciphertext);
+      const output = new Uint8Array(ciphertext.length + tag.length);
+      output.set(ciphertext);
+      output.set(tag, ciphertext.length);
+      return { output, tag };
+    }
+
+    const separateTag = step.tag.trim() ? parseHex(step.tag) : null;
+    if (step.tag.trim() && !GCM_TAG_LENGTHS.includes(separateTag?.length)) {
+      return { output: new Uint8Array(0), error: "invalidTag" };
+    }
+    if (!separateTag && input.length < AES_BLOCK_SIZE) return { output: new Uint8Array(0), error: "authFailed" };
+
+    const ciphertext = separateTag ? input : input.subarray(0, input.length - AES_BLOCK_SIZE);
+    const tag = separateTag ?? input.subarray(input.length - AES_BLOCK_SIZE);
+    const expected = gcmTag(key, hashKey, counter, aad, ciphertext).subarray(0, tag.length);
+    if (!sameBytes(expected, tag)) return { output: new Uint8Array(0), error: "authFailed" };
+    return { output: aesCtr(ciphertext, key, start, 12), verified: true };
+  }
+
+  if (!decrypting) {
+    const plain = step.padding ? pkcs7Pad(input) : input;
+    if (plain.length % AES_BLOCK_SIZE) return { output: new Uint8Array(0), error: "invalidBlockLength" };
+    if (step.blockMode === "ecb") return { output: aesBlocks(plain, (block) => encryptAesBlock(block, key)) };
+
+    let previous = iv;
+    return {
+      output: aesBlocks(plain, (block) => {
+        previous = encryptAesBlock(xorBytes(block, previous), key);
+        return previous;
+      })
+    };
+  }
+
+  if (input.length % AES_BLOCK_SIZE) return { output: new Uint8Array(0), error: "invalidBlockLength" };
+  const decrypted =
+    step.blockMode === "ecb"
+      ? aesBlocks(input, (block) => decryptAesBlock(block, key))
+      : aesBlocks(input, (block, offset) =>
+          xorBytes(decryptAesBlock(block, key), offset ? input.subarray(offset - AES_BLOCK_SIZE, offset) : iv)
+        );
+  if (!step.padding) return { output: decrypted };
+
+  const unpadded = pkcs7Unpad(decrypted);
+  return unpadded ? { output: unpadded } : { output: new Uint8Array(0), error: "invalidPadding" };
+};
+
+export const RC4_FORMATS = ["hex", "base64"];
+
+const rc4 = (key, bytes, drop) => {
+  const state = Uint8Array.from({ length: 256 }, (_, index) => index);
+  for (let index = 0, swap = 0; index < 256; index += 1) {
+    swap = (swap + state[index] + key[index % key.length]) & 0xff;
+    [state[index], state[swap]] = [state[swap], state[index]];
+  }
+
+  const output = new Uint8Array(bytes.length);
+  for (let count = -drop, i = 0, j = 0; count < bytes.length; count += 1) {
+    i = (i + 1) & 0xff;
+    j = (j + state[i]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+    if (count >= 0) output[count] = bytes[count] ^ state[(state[i] + state[j]) & 0xff];
+  }
+  return output;
+};
+
+const runRc4 = (input, step) => {
+  const key = parseBytes(step.key, step.keyFormat);
+  if (!key) return { output: step.mode === "decode" ? new Uint8Array(0) : "", error: "invalidKey" };
+  if (!key.length) return { output: step.mode === "decode" ? new Uint8Array(0) : "", error: "emptyKey" };
+
+  if (step.mode !== "decode") return { output: formatBytes(rc4(key, input, clampDrop(step.drop)), step.format) };
+
+  const ciphertext = parseBytes(input, step.format);
+  if (!ciphertext) return { output: new Uint8Array(0), error: "invalidEncoding" };
+  return { output: rc4(key, ciphertext, clampDrop(step.drop)) };
+};
+
+export const NUMERAL_BASES = [2, 8, 10, 16];
+export const NUMERAL_UNITS = ["bytes", "codepoints"];
+const NUMERAL_UNIT_MAX = { bytes: 0xff, codepoints: 0x10ffff };
+const NUMERAL_PATTERNS = { 2: /^[01]+$/, 8: /^[0-7]+$/, 10: /^\d+$/, 16: /^[0-9a-f]+$/i };
+const NUMERAL_PREFIXES = { 2: /^0b/i, 8: /^0o/i, 16: /^0x/i };
+
+export const numeralWidth = (step) => NUMERAL_UNIT_MAX[step.unit].toString(step.base).length;
+
+const numeralEncode = (input, step) => {
+  const values =
+    step.unit === "bytes" ? Array.from(input) : Array.from(input, (char) => char.codePointAt(0));
+  return values
+    .map((value) => {
+      const digits = value.toString(step.base);
+      return step.padding ? digits.padStart(numeralWidth(step), "0") : digits;
+    })
+    .join(step.separator);
+};
+
+const numeralDecode = (input, step) => {
+  const separator = step.separator ? `|${escapeRegex(step.separator)}` : "";
+  const width = numeralWidth(step);
+  const tokens = input
+    .split(new RegExp(`(?:[\\s,;]${separator})+`))
+    .filter(Boolean)
+    .map((token) => token.replace(NUMERAL_PREFIXES[step.base] ?? "", ""))
+    .flatMap((token) =>
+      !step.separator && step.padding && token.length > width
+        ? token.match(new RegExp(`.{1,${width}}`, "g"))
+        : [token]
+    );
+
+  const max = NUMERAL_UNIT_MAX[step.unit];
+  const invalid = [];
+  const values = tokens.filter((token) => {
+    const value = parseInt(token, step.base);
+    const isValid = NUMERAL_PATTERNS[step.base].test(token) && value <= max;
+    if (!isValid) invalid.push(token);
+    return isValid;
+  });
+  const numbers = values.map((token) => parseInt(token, step.base));
+
+  return {
+    output:
+      step.unit === "bytes"
+        ? Uint8Array.from(numbers)
+        : numbers.map((number) => String.fromCodePoint(number)).join(""),
+    invalid
+  };
+};
+
+const runNumeralSystem = (input, step) =>
+  step.mode === "decode" ? numeralDecode(input, step) : { output: numeralEncode(input, step), invalid: [] };
+
+export const BITWISE_OPERATIONS = ["xor", "and", "or", "not", "shl", "shr"];
+export const KEYED_BITWISE_OPERATIONS = new Set(["xor", "and", "or"]);
+
+const runBitwise = (input, step) => {
+  if (step.operation === "not") return { output: input.map((byte) => ~byte & 0xff) };
+  if (step.operation === "shl") return { output: input.map((byte) => (byte << step.shift) & 0xff) };
+  if (step.operation === "shr") return { output: input.map((byte) => byte >>> step.shift) };
+
+  const key = parseBytes(step.key, step.keyFormat);
+  if (!key) return { output: input, error: "invalidKey" };
+  if (!key.length) return { output: input, error: "emptyKey" };
+
+  const combine = {
+    xor: (left, right) => left ^ right,
+    and: (left, right) => left & right,
+    or: (left, right) => left | right
+  }[step.operation];
+  return { output: input.map((byte, index) => combine(byte, key[index % key.length])) };
+};
+
+export const URL_VARIANTS = ["component", "uri", "form"];
+
+const formEncode = (text) =>
+  encodeURIComponent(text)
+    .replace(/[!'()~]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+    .replace(/%20/g, "+");
+
+const runUrlEncoding = (input, step) => {
+  try {
+    if (step.mode !== "decode") {
+      if (step.variant === "form") return { output: formEncode(input) };
+      return { output: step.variant === "uri" ? encodeURI(input) : encodeURIComponent(input) };
+    }
+    if (step.variant === "form") return { output: decodeURIComponent(input.replace(/\+/g, " ")) };
+    return { output: step.variant === "uri" ? decodeURI(input) : decodeURIComponent(input) };
+  } catch {
+    return { output: input, error: "invalidEncoding" };
+  }
+};
+
+export const UNICODE_NOTATIONS = ["u-plus", "js", "html-hex", "html-decimal"];
+const UNICODE_ESCAPE_PATTERN =
+  /U\+([0-9a-f]{4,6})|\\u\{([0-9a-f]{1,6})\}|\\u([0-9a-f]{4})|&#x([0-9a-f]{1,6});|&#(\d{1,7});/gi;
+
+const toHexCode = (value, width = 4) => value.toString(16).toUpperCase().padStart(width, "0");
+
+const unicodeEncode = (input, notation) => {
+  if (notation === "js") {
+    return Array.from({ length: input.length }, (_, index) => `\\u${toHexCode(input.charCodeAt(index))}`).join(
+      ""
+    );
+  }
+
+  const codePoints = Array.from(input, (char) => char.codePointAt(0));
+  if (notation === "html-hex") return codePoints.map((value) => `&#x${toHexCode(value)};`).join("");
+  if (notation === "html-decimal") return codePoints.map((value) => `&#${value};`).join("");
+  return codePoints.map((value) => `U+${toHexCode(value)}`).join(" ");
+};
+
+const unicodeDecode = (input) => {
+  let invalid = false;
+  const output = input
+    .replace(/(U\+[0-9a-f]{4,6})\s+(?=U\+[0-9a-f]{4})/gi, "$1")
+    .replace(UNICODE_ESCAPE_PATTERN, (match, uPlus, braced, unit, htmlHex, htmlDecimal) => {
+      if (unit) return String.fromCharCode(parseInt(unit, 16));
+      const value = htmlDecimal ? Number(htmlDecimal) : parseInt(uPlus ?? braced ?? htmlHex, 16);
+      if (value > 0x10ffff) {
+        invalid = true;
+        return match;
+      }
+      return String.fromCodePoint(value);
+    });
+  return invalid ? { output, error: "invalidCodePoint" } : { output };
+};
+
+const runUnicode = (input, step) =>
+  step.mode === "decode" ? unicodeDecode(input) : { output: unicodeEncode(input, step.notation) };
+
+const PUNYCODE_BASE = 36;
+const PUNYCODE_TMIN = 1;
+const PUNYCODE_TMAX = 26;
+const PUNYCODE_PREFIX = "xn--";
+
+const punycodeThreshold = (k, bias) =>
+  k <= bias ? PUNYCODE_TMIN : k >= bias + PUNYCODE_TMAX ? PUNYCODE_TMAX : k - bias;
+
+const adaptBias = (delta, points, isFirst) => {
+  let scaled = isFirst ? Math.floor(delta / 700) : delta >> 1;
+  scaled += Math.floor(scaled / points);
+  let k = 0;
+  while (scaled > ((PUNYCODE_BASE - PUNYCODE_TMIN) * PUNYCODE_TMAX) >> 1) {
+    scaled = Math.floor(scaled / (PUNYCODE_BASE - PUNYCODE_TMIN));
+    k += PUNYCODE_BASE;
+  }
+  return k + Math.floor(((PUNYCODE_BASE - PUNYCODE_TMIN + 1) * scaled) / (scaled + 38));
+};
+
+const punycodeDigit = (digit) => String.fromCharCode(digit < 26 ? 97 + digit : 22 + digit);
+
+const punycodeValue = (char) => {
+  const code = char.charCodeAt(0);
+  if (code >= 48 && code <= 57) return code - 22;
+  if (code >= 65 && code <= 90) return code - 65;
+  if (code >= 97 && code <= 122) return code - 97;
+  return PUNYCODE_BASE;
+};
+
+const punycodeEncode = (label) => {
+  const codePoints = Array.from(label, (char) => char.codePointAt(0));
+  const basic = codePoints.filter((value) => value < 0x80);
+  let output = String.fromCharCode(...basic);
+  let handled = basic.length;
+  if (handled) output += "-";
+
+  let n = 0x80;
+  let delta = 0;
+  let bias = 72;
+  while (handled < codePoints.length) {
+    const next = Math.min(...codePoints.filter((value) => value >= n));
+    delta += (next - n) * (handled + 1);
+    n = next;
+
+    codePoints.forEach((value) => {
+      if (value < n) delta += 1;
+      if (value !== n) return;
+
+      let q = delta;
+      for (let k = PUNYCODE_BASE; ; k += PUNYCODE_BASE) {
+        const t = punycodeThreshold(k, bias);
+        if (q < t) break;
+        output += punycodeDigit(t + ((q - t) % (PUNYCODE_BASE - t)));
+        q = Math.floor((q - t) / (PUNYCODE_BASE - t));
+      }
+      output += punycodeDigit(q);
+      bias = adaptBias(delta, handled + 1, handled === basic.length);
+      delta = 0;
+      handled += 1;
+    });
+
+    delta += 1;
+    n += 1;
+  }
+  return output;
+};
+
+const punycodeDecode = (encoded) => {
+  const delimiter = Math.max(0, encoded.lastIndexOf("-"));
+  const output = Array.from(encoded.slice(0, delimiter), (char) => char.codePointAt(0));
+  if (output.some((value) => value >= 0x80)) return null;
+
+  let n = 0x80;
+  let bias = 72;
+  let i = 0;
+  let position = delimiter > 0 ? delimiter + 1 : 0;
+  while (position < encoded.length) {
+    const previous = i;
+    let weight = 1;
+    for (let k = PUNYCODE_BASE; ; k += PUNYCODE_BASE) {
+      if (position >= encoded.length) return null;
+      const digit = punycodeValue(encoded[position]);
+      position += 1;
+      if (digit >= PUNYCODE_BASE) return null;
+      i += digit * weight;
+      const t = punycodeThreshold(k, bias);
+      if (digit < t) break;
+      weight *= PUNYCODE_BASE - t;
+    }
+
+    bias = adaptBias(i - previous, output.length + 1, previous === 0);
+    n += Math.floor(i / (output.length + 1));
+    i %= output.length + 1;
+    if (n > 0x10ffff) return null;
+    output.splice(i, 0, n);
+    i += 1;
+  }
+  return String.fromCodePoint(...output);
+};
+
+const convertDomain = (domain, mode) => {
+  let invalid = false;
+  const labels = domain.split(/[.。．｡]/).map((label) => {
+    if (mode !== "decode") {
+      return /[^\0-\x7f]/.test(label) ? PUNYCODE_PREFIX + punycodeEncode(label.toLowerCase()) : label;
+    }
+    if (!label.toLowerCase().startsWith(PUNYCODE_PREFIX)) return label;
+    const decoded = punycodeDecode(label.slice(PUNYCODE_PREFIX.length).toLowerCase());
+    if (decoded === null) invalid = true;
+    return decoded ?? label;
+  });
+  return { domain: labels.join("."), invalid };
+};
+
+const runPunycode = (input, step) => {
+  const invalid = [];
+  const output = input.replace(/[^\s/@:?#]+/g, (token) => {
+    const { domain, invalid: isInvalid } = convertDomain(token, step.mode);
+    if (isInvalid) invalid.push(token);
+    return domain;
+  });
+  return { output, invalid };
+};
+
+const TEXT_IO = { input: "text", output: "text" };
+const BYTE_ENCODING_IO = {
+  encode: { input: "bytes", output: "text" },
+  decode: { input: "text", output: "bytes" }
+};
+
+const OPERATION_IO = {
+  base64: BYTE_ENCODING_IO,
+  base32: BYTE_ENCODING_IO,
+  ascii85: BYTE_ENCODING_IO,
+  hash: { input: "bytes", output: "text" },
+  hmac: { input: "bytes", output: "text" },
+  block: { input: "bytes", output: "bytes" },
+  rc4: BYTE_ENCODING_IO,
+  "numeral-system": (step) => (step.unit === "bytes" ? BYTE_ENCODING_IO : TEXT_IO),
+  bitwise: { input: "bytes", output: "bytes" }
+};
+
+const getStepIO = (step) => {
+  const declared = OPERATION_IO[step.type];
+  const io = typeof declared === "function" ? declared(step) : declared;
+  return io?.[step.mode] ?? io ?? TEXT_IO;
+};
+
+const prepareStepInput = (value, step) =>
+  getStepIO(step).input === "bytes" ? toBytes(value) : toText(value);
+
+const DEFAULT_STEP_BY_TYPE = {
+  caesar: () => ({ mode: "encode", shift: 3, alphabet: "en", preserveCase: true }),
+  reverse: () => ({}),
+  replace: () => ({ fromText: "", toText: "", matchCase: true }),
+  "case-transform": () => ({ caseMode: "upper" }),
+  "numeral-system": () => ({ mode: "encode", base: 2, unit: "bytes", separator: " ", padding: true }),
+  bitwise: () => ({ operation: "xor", key: "key", keyFormat: "text", shift: 1 }),
+  rot13: () => ({ alphabet: "en" }),
+  a1z26: () => ({ mode: "encode", alphabet: "en" }),
+  vigenere: () => ({
+    mode: "encode",
+    key: "KEY",
+    alphabet: "en",
+    preserveCase: true,
+    keyLength: null
+  }),
+  affine: () => ({
+    mode: "encode",
+    multiplier: 5,
+    offset: 8,
+    alphabet: "en",
+    preserveCase: true,
+    crack: false,
+    selection: null
+  }),
+  substitution: () => ({
+    mode: "encode",
+    keyMode: "keyword",
+    keyword: "ZEBRAS",
+    mapping: "",
+    alphabet: "en",
+    preserveCase: true,
+    solver: false,
+    solution: {}
+  }),
+  bacon: () => ({
+    mode: "encode",
+    variant: "26",
+    symbolA: "A",
+    symbolB: "B",
+    hiding: "none",
+    coverText: ""
+  }),
+  "rail-fence": () => ({ mode: "encode", rails: 3 }),
+  "caesar-crack": () => ({ language: "auto", selection: null }),
+  enigma: () => ({
+    model: "I",
+    reflector: "B",
+    rotors: ["I", "II", "III"],
+    rings: [1, 1, 1],
+    positions: ["A", "A", "A"],
+    greekRotor: "beta",
+    greekRing: 1,
+    greekPosition: "A",
+    plugboard: ""
+  }),
+  morse: () => ({
+    mode: "encode",
+    table: "latin",
+    dot: ".",
+    dash: "-",
+    letterSeparator: " ",
+    wordSeparator: " / ",
+    wpm: 20,
+    farnsworth: 20
+  }),
+  base64: () => ({ mode: "encode", variant: "standard", padding: true }),
+  base32: () => ({ mode: "encode", variant: "rfc4648", padding: true }),
+  ascii85: () => ({ mode: "encode", variant: "adobe", delimiters: true }),
+  hash: () => ({ algorithm: "sha256", format: "hex" }),
+  hmac: () => ({ algorithm: "sha256", key: "", keyFormat: "text", format: "hex", expected: "" }),
+  block: () => ({
+    mode: "encode",
+    keySize: 128,
+    key: "000102030405060708090a0b0c0d0e0f",
+    keyFormat: "hex",
+    blockMode: "cbc",
+    iv: "000102030405060708090a0b0c0d0e0f",
+    ivFormat: "hex",
+    padding: true,
+    aad: "",
+    tag: ""
+  }),
+  rc4: () => ({ mode: "encode", key: "Key", keyFormat: "text", drop: 0, format: "hex" }),
+  baudot: () => ({ mode: "encode", variant: "ita2", format: "binary" }),
+  spelling: () => ({ mode: "encode", system: "nato" }),
+  unicode: () => ({ mode: "encode", notation: "u-plus" }),
+  "url-encoding": () => ({ mode: "encode", variant: "component" }),
+  punycode: () => ({ mode: "encode" })
+};
+
+export const createStep = (id, type = "caesar") => {
+  const defaults = DEFAULT_STEP_BY_TYPE[type] ? DEFAULT_STEP_BY_TYPE[type]() : DEFAULT_STEP_BY_TYPE.caesar();
+  return {
+    id,
+    type,
+    disabled: false,
+    keyRequired: false,
+    ...defaults,
+    ...("alphabet" in defaults ? { customAlphabet: DEFAULT_CUSTOM_ALPHABET } : {})
+  };
+};
+
+const evaluateStep = (value, step) => {
+  if (step.disabled || step.keyRequired) return { value, details: null };
+  const { output, details } = applyStep(prepareStepInput(value, step), step);
+  return {
+    value: getStepIO(step).output === "bytes" ? bytesValue(output) : textValue(output),
+    details
+  };
+};
+
+export const runStep = (value, step) => evaluateStep(value, step).value;
+
+const withDetails = ({ output, ...details }) => ({ output, details });
+
+const applyStep = (input, step) => {
+  switch (step.type) {
+    case "caesar": {
+      const alphabet = resolveAlphabet(step);
+      if (!alphabet) return { output: input, details: null };
+      const size = alphabet.letters.length;
+      const normalizedShift = ((step.shift % size) + size) % size;
+      const effectiveShift = step.mode === "encode" ? normalizedShift : (size - normalizedShift) % size;
+      return { output: caesarCipher(input, effectiveShift, alphabet, step.preserveCase), details: null };
+    }
+
+    case "reverse":
+      return { output: reverseText(input), details: null };
+
+    case "replace":
+      return {
+        output: replaceText(input, step.fromText, step.toText, step.matchCase),
+        details: null
+      };
+
+    case "case-transform":
+      return { output: transformCase(input, step.caseMode), details: null };
+
+    case "numeral-system":
+      return withDetails(runNumeralSystem(input, step));
+
+    case "bitwise":
+      return withDetails(runBitwise(input, step));
+
+    case "rot13": {
+      const alphabet = resolveAlphabet(step);
+      if (!alphabet) return { output: input, details: null };
+      return {
+        output: caesarCipher(input, Math.floor(alphabet.letters.length / 2), alphabet, true),
+        details: null
+      };
+    }
+
+    case "a1z26": {
+      const alphabet = resolveAlphabet(step);
+      if (!alphabet) return { output: input, details: null };
+      return {
+        output: step.mode === "decode" ? a1z26Decode(input, alphabet) : a1z26Encode(input, alphabet),
+        details: null
+      };
+    }
+
+    case "vigenere": {
+      const alphabet = resolveAlphabet(step);
+      if (!alphabet) return { output: input, details: null };
+      if (step.mode === "analyze") {
+        const analysis = analyzeVigenere(input, step.alphabet);
+        const chosen = pickVigenereCandidate(analysis, step.keyLength);
+        return {
+          output: chosen
+            ? vigenereCipher(input, chosen.keyOffsets, "decode", alphabet, step.preserveCase)
+            : input,
+          details: { analysis, sample: input.slice(0, CRACK_PREVIEW_LENGTH) }
+        };
+      }
+      return {
+        output: vigenereCipher(input, step.key, step.mode, alphabet, step.preserveCase),
+        details: null
+      };
+    }
+
+    case "affine": {
+      const alphabet = resolveAlphabet(step);
+      if (!alphabet) return { output: input, details: null };
+      if (step.crack) {
+        const candidates = rankAffineKeys(input, step.alphabet);
+        const chosen = pickAffineCandidate(candidates ?? [], step.selection);
+        return {
+          output: chosen
+            ? affineCipher(input, chosen.multiplier, chosen.offset, "decode", alphabet, step.preserveCase)
+            : input,
+          details: { candidates, sample: input.slice(0, CRACK_PREVIEW_LENGTH) }
+        };
+      }
+      if (modularInverse(step.multiplier, alphabet.letters.length) === null) {
+        return { output: input, details: null };
+      }
+      return {
+        output: affineCipher(input, step.multiplier, step.offset, step.mode, alphabet, step.preserveCase),
+        details: null
+      };
+    }
+
+    case "substitution": {
+      const alphabet = resolveAlphabet(step);
+      if (!alphabet) return { output: input, details: null };
+      if (step.mode === "decode" && step.solver) {
+        const { counts, total } = countLetters(input, alphabet);
+        return {
+          output: solveSubstitution(input, step.solution, alphabet, step.preserveCase)
+            .map((token) => token.raw)
+            .join(""),
+          details: { counts, total, sample: input.slice(0, SOLVER_PREVIEW_LENGTH) }
+        };
+      }
+      const { key } = resolveSubstitutionKey(step, alphabet);
+      return {
+        output: key ? substitutionCipher(input, key, step.mode, alphabet, step.preserveCase) : input,
+        details: null
+      };
+    }
+
+    case "bacon": {
+      const { text, ...details } = runBacon(input, step);
+      return { output: text, details };
+    }
+
+    case "rail-fence":
+      return {
+        output:
+          step.mode === "decode"
+            ? railFenceDecode(input, clampRails(step.rails))
+            : railFenceEncode(input, clampRails(step.rails)),
+        details: null
+      };
+
+    case "enigma": {
+      const { machine } = resolveEnigma(step);
+      if (!machine) return { output: input, details: null };
+      const { text, positions } = runEnigma(input, machine);
+      return { output: text, details: { positions } };
+    }
+
+    case "morse": {
+      const { text, ...details } = runMorse(input, step);
+      return { output: text, details };
+    }
+
+    case "spelling":
+      return withDetails(runSpelling(input, step));
+
+    case "base64":
+    case "base32":
+    case "ascii85":
+      return withDetails(runBaseEncoding(input, step));
+
+    case "hash":
+      return { output: formatBytes(HASH_ALGORITHMS[step.algorithm](input), step.format), details: null };
+
+    case "hmac": {
+      const { digest, ...details } = runHmac(input, step);
+      return { output: digest ? formatBytes(digest, step.format) : "", details };
+    }
+
+    case "block":
+      return withDetails(runAes(input, step));
+
+    case "rc4":
+      return withDetails(runRc4(input, step));
+
+    case "baudot":
+      return withDetails(runBaudot(input, step));
+
+    case "unicode":
+      return withDetails(runUnicode(input, step));
+
+    case "url-encoding":
+      return withDetails(runUrlEncoding(input, step));
+
+    case "punycode":
+      return withDetails(runPunycode(input, step));
+
+    case "caesar-crack": {
+      const candidates = rankCaesarShifts(input, step.language);
+      const chosen = pickCaesarCandidate(candidates, step.selection);
+      return {
+        output: chosen ? caesarCipher(input, -chosen.shift, ALPHABETS[chosen.language]) : input,
+        details: { candidates, sample: input.slice(0, CRACK_PREVIEW_LENGTH) }
+      };
+    }
+
+    default:
+      return { output: input, details: null };
+  }
+};
+
+const SELF_INVERSE_OPERATIONS = new Set(["reverse", "enigma"]);
+
+export const keyRequiredSteps = (steps) =>
+  steps.flatMap((step, index) => (step.keyRequired && !step.disabled ? [index] : []));
+
+export const invertStep = (step) => {
+  if (step.disabled || SELF_INVERSE_OPERATIONS.has(step.type)) return step;
+  if (step.keyRequired) return null;
+  if (step.type === "rot13") {
+    const alphabet = resolveAlphabet(step);
+    if (!alphabet) return step;
+    return {
+      ...step,
+      type: "caesar",
+      mode: "decode",
+      shift: Math.floor(alphabet.letters.length / 2),
+      preserveCase: true
+    };
+  }
+  if (step.type === "bitwise") return step.operation === "xor" || step.operation === "not" ? step : null;
+  if (step.type === "vigenere" && step.mode === "analyze") return null;
+  if (step.type === "affine" && step.crack) return null;
+  if (step.type === "substitution" && step.mode === "decode" && step.solver) return null;
+  if (MODE_OPERATIONS.has(step.type)) return { ...step, mode: step.mode === "decode" ? "encode" : "decode" };
+  return null;
+};
+
+const runPipeline = (text, steps, onStep) => {
+  let transformed = textValue(text);
+  return steps.map((step, index) => {
+    onStep?.(index);
+    const stage = evaluateStep(transformed, step);
+    transformed = stage.value;
+    return { id: step.id, type: step.type, ...stage };
+  });
+};
+
+const runPipelineBackward = (text, steps, asHex, onStep) => {
+  if (keyRequiredSteps(steps).length) return { text: null, blocked: [], failed: [], error: "reverseKeyRequired" };
+
+  const inverses = steps.map(invertStep);
+  const blocked = inverses.flatMap((inverse, index) => (inverse ? [] : [index]));
+  if (blocked.length) return { text: null, blocked, failed: [] };
+
+  const bytes = asHex ? parseHex(text) : null;
+  if (asHex && !bytes) return { text: null, blocked, failed: [], error: "invalidHexDraft" };
+
+  let value = asHex ? bytesValue(bytes) : textValue(text);
+  const failed = [];
+  for (let index = inverses.length - 1; index >= 0; index -= 1) {
+    onStep?.(index);
+    const { value: next, details } = evaluateStep(value, inverses[index]);
+    if (details?.error || details?.invalid?.length) failed.unshift(index);
+    value = next;
+  }
+  if (failed.length) return { text: null, blocked, failed };
+  if (isHexDisplay(value)) return { text: null, blocked, failed, error: "reverseNotText" };
+  return { text: toText(value), blocked, failed };
+};
+
+export const evaluatePipeline = ({ input, draft, asHex }, steps, onProgress) => {
+  const reverse =
+    draft === null
+      ? null
+      : runPipelineBackward(draft, steps, asHex, (index) => onProgress?.("reverse", index));
+  const stages = runPipeline(reverse?.text ?? input, steps, (index) => onProgress?.("forward", index));
+  return { draft, reverse, stages };
+};
@@ -0,0 +1,9 @@
+import { evaluatePipeline } from "./pipeline";
+
+self.onmessage = ({ data }) => {
+  const { runId, job, steps } = data;
+  const result = evaluatePipeline(job, steps, (phase, index) =>
+    self.postMessage({ runId, type: "progress", phase, index })
+  );
+  self.postMessage({ runId, type: "done", result });
+};